@@ -0,0 +1,204 @@
+// A persistent cache for fetched map assets: map lists, metadata, heightmaps and textures.
+// Entries are revalidated with the server once they are older than their max age, served as an
+// offline copy when the network fails, and evicted least recently used first past a size limit.
+// Both fetch and the storage are injectable, so the tests can stub them; the viewer uses the
+// browser's fetch and IndexedDB. It must not depend on the DOM or Three.js.
+
+export const DEFAULT_CACHE_LIMIT = 256 * 1024 * 1024; // Bytes
+export const DEFAULT_MAX_AGE = 24 * 60 * 60 * 1000; // Milliseconds
+
+// --- STORAGE ---
+// A storage keeps each entry as its metadata ({ url, type, size, storedAt, usedAt })
+// and its body (a Blob), and implements:
+//   get(url) -> { meta, blob } or null   put(meta, blob)   putMeta(meta)
+//   delete(url)   list() -> [meta]   clear()
+
+/**
+ * Keeps entries in memory for as long as the page is open. Used by the tests and
+ * when IndexedDB is unavailable.
+ */
+export function createMemoryStorage() {
+    const entries = new Map();
+    return {
+        async get(url) {
+            return entries.get(url) || null;
+        },
+        async put(meta, blob) {
+            entries.set(meta.url, { meta, blob });
+        },
+        async putMeta(meta) {
+            const entry = entries.get(meta.url);
+            if (entry) entry.meta = meta;
+        },
+        async delete(url) {
+            entries.delete(url);
+        },
+        async list() {
+            return Array.from(entries.values(), entry => entry.meta);
+        },
+        async clear() {
+            entries.clear();
+        }
+    };
+}
+
+function requestResult(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Keeps entries in an IndexedDB database, with the metadata apart from the bodies so
+ * listing entries for eviction doesn't read any of them.
+ */
+export function createIndexedDbStorage(name = 'bar3dMapViewer.assets') {
+    let database = null;
+    function open() {
+        database ??= new Promise((resolve, reject) => {
+            const request = indexedDB.open(name, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore('meta', { keyPath: 'url' });
+                request.result.createObjectStore('data');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        return database;
+    }
+
+    async function write(action) {
+        const transaction = (await open()).transaction(['meta', 'data'], 'readwrite');
+        action(transaction.objectStore('meta'), transaction.objectStore('data'));
+        await transactionDone(transaction);
+    }
+
+    return {
+        async get(url) {
+            const transaction = (await open()).transaction(['meta', 'data'], 'readonly');
+            const [meta, blob] = await Promise.all([
+                requestResult(transaction.objectStore('meta').get(url)),
+                requestResult(transaction.objectStore('data').get(url))
+            ]);
+            return meta && blob ? { meta, blob } : null;
+        },
+        put: (meta, blob) => write((metaStore, dataStore) => {
+            metaStore.put(meta);
+            dataStore.put(blob, meta.url);
+        }),
+        putMeta: meta => write(metaStore => metaStore.put(meta)),
+        delete: url => write((metaStore, dataStore) => {
+            metaStore.delete(url);
+            dataStore.delete(url);
+        }),
+        async list() {
+            return requestResult((await open()).transaction('meta', 'readonly').objectStore('meta').getAll());
+        },
+        clear: () => write((metaStore, dataStore) => {
+            metaStore.clear();
+            dataStore.clear();
+        })
+    };
+}
+
+// --- CACHE ---
+function isAbort(error, signal) {
+    return signal?.aborted || error?.name === 'AbortError';
+}
+
+/**
+ * Creates a cache in front of `fetch`. Its fetch(url, { signal, maxAge }) resolves to
+ * { blob, source }, where source is:
+ *   'network' - freshly downloaded
+ *   'cache'   - stored earlier and still within its max age
+ *   'offline' - stored earlier, but the server could not be reached to revalidate it
+ * Storage failures (e.g. a full disk or private browsing) are logged and the network is used alone.
+ */
+export function createAssetCache({
+    fetch = (...args) => globalThis.fetch(...args),
+    storage = createMemoryStorage(),
+    maxBytes = DEFAULT_CACHE_LIMIT,
+    maxAge = DEFAULT_MAX_AGE,
+    now = Date.now
+} = {}) {
+    async function tryStorage(action, fallback = null) {
+        try {
+            return await action();
+        } catch (error) {
+            console.warn("Asset cache storage failed:", error);
+            return fallback;
+        }
+    }
+
+    // Drops the least recently used entries, other than `keepUrl`, until the cache fits its limit
+    async function evict(keepUrl) {
+        const entries = await storage.list();
+        let total = entries.reduce((sum, meta) => sum + meta.size, 0);
+        entries.sort((a, b) => a.usedAt - b.usedAt);
+        for (const meta of entries) {
+            if (total <= maxBytes) break;
+            if (meta.url === keepUrl) continue;
+            await storage.delete(meta.url);
+            total -= meta.size;
+        }
+    }
+
+    async function store(url, blob) {
+        if (blob.size > maxBytes) return blob;
+        const time = now();
+        const meta = {
+            url,
+            type: blob.type,
+            size: blob.size,
+            storedAt: time,
+            usedAt: time
+        };
+        await tryStorage(async () => {
+            await storage.put(meta, blob);
+            await evict(url);
+        });
+        return blob;
+    }
+
+    async function cachedFetch(url, { signal, maxAge: entryMaxAge = maxAge } = {}) {
+        const cached = await tryStorage(() => storage.get(url));
+        if (cached && now() - cached.meta.storedAt < entryMaxAge) {
+            await tryStorage(() => storage.putMeta({ ...cached.meta, usedAt: now() }));
+            return { blob: cached.blob, source: 'cache' };
+        }
+
+        // 'no-cache' has the browser revalidate its own HTTP cache copy with the server (a conditional
+        // request) rather than serving it as is. Sending the validators ourselves would need a CORS preflight.
+        let response;
+        try {
+            response = await fetch(url, { signal, cache: 'no-cache' });
+        } catch (error) {
+            if (isAbort(error, signal) || !cached) throw error;
+            return { blob: cached.blob, source: 'offline' };
+        }
+
+        if (!response.ok) {
+            // A server error is as good as being offline; anything else means the asset is gone
+            if (cached && response.status >= 500) return { blob: cached.blob, source: 'offline' };
+            throw new Error(`Failed to fetch ${url}: ${response.status} ${response.statusText}`);
+        }
+        return { blob: await store(url, await response.blob()), source: 'network' };
+    }
+
+    return {
+        fetch: cachedFetch,
+        async usage() {
+            const entries = await tryStorage(() => storage.list(), []);
+            return { count: entries.length, bytes: entries.reduce((sum, meta) => sum + meta.size, 0) };
+        },
+        clear: () => tryStorage(() => storage.clear())
+    };
+}
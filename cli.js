@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+// Applies a mutator recipe to a heightmap outside the browser, e.g. to batch-process maps in scripts.
+// It builds the mutator context and chain with the viewer's own code (mutators.js and heightmap.js),
+// so its height samples are identical to the viewer's export of the same heightmap and recipe.
+//
+//   node cli.js <heightmap> --recipe <recipe.json> --min-height <n> --max-height <n> [options]
+//
+// The heightmap is a PNG (8- or 16-bit) or raw little-endian uint16 values (.raw). The recipe is the
+// .recipe.json the viewer exports, or just its list of mutators. Like the viewer, it writes the
+// mutated heightmap plus a recipe whose 'output' holds the new min/max heights, and prints that output.
+import { readFile, writeFile } from 'node:fs/promises';
+import { basename, extname } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import { MUTATOR_TYPES, buildMutatorChain, createChainCache, createMutatorContext, evaluateMutatorChain, findHeightRange } from './mutators.js';
+import { HEIGHTMAP_FORMATS, decodePngHeightmap, decodeRawHeightmap, encodeHeightmap, heightmapToHeights } from './heightmap.js';
+
+const USAGE = `Usage: node cli.js <heightmap> --recipe <recipe.json> --min-height <n> --max-height <n> [options]
+
+Options:
+  -r, --recipe <file>      Recipe exported by the viewer, or a JSON list of mutators
+      --min-height <n>     Height of the heightmap's lowest value
+      --max-height <n>     Height of the heightmap's highest value
+  -o, --output <file>      Output file (default: <heightmap>_mutated with the format's extension)
+  -f, --format <format>    ${Object.keys(HEIGHTMAP_FORMATS).join(', ')} (default: from the output extension, else png16)
+      --width <n>          Width of a raw heightmap (default: square)
+      --height <n>         Height of a raw heightmap (default: square)
+      --water-level <n>    Water level that 'height' params are measured from (default: the recipe's)
+  -h, --help               Show this help`;
+
+/**
+ * Reads a recipe into its mutators and the water level settings their 'height' params depend on.
+ * Accepts the viewer's recipe ({ mutators, waterLevel: { height, thresholdsLocked } }) or a plain list.
+ */
+export function parseRecipe(recipe) {
+    const mutators = Array.isArray(recipe) ? recipe : recipe?.mutators;
+    if (!Array.isArray(mutators)) throw new Error('Recipe has no list of mutators');
+    for (const mutator of mutators) {
+        if (!MUTATOR_TYPES[mutator?.type]) throw new Error(`Unknown mutator type ${mutator?.type}`);
+    }
+
+    const water = Array.isArray(recipe) ? null : recipe.waterLevel;
+    return {
+        mutators,
+        waterLevel: Number(water?.height) || 0,
+        thresholdsLocked: !!water?.thresholdsLocked,
+        sculpted: !!recipe.sculpted
+    };
+}
+
+/**
+ * Decodes a heightmap file: .png files as PNGs and anything else as raw uint16 values.
+ */
+export async function decodeHeightmapFile(fileName, bytes, { width, height } = {}) {
+    if (/\.png$/i.test(fileName)) return decodePngHeightmap(bytes);
+    return decodeRawHeightmap(bytes, width, height);
+}
+
+/**
+ * Runs the enabled `mutators` over a decoded heightmap the same way the viewer does and encodes the
+ * result. Returns { bytes, chain, output }: the encoded heightmap, the chain that ran with all its
+ * params filled in, and the 'output' of the viewer's recipe.
+ */
+export async function mutateHeightmap(heightmap, mutators, { minHeight, maxHeight, waterLevel = 0, thresholdsLocked = false, format = 'png16' }) {
+    if (!HEIGHTMAP_FORMATS[format]) throw new Error(`Unknown format ${format}`);
+    const context = createMutatorContext({ width: heightmap.width, height: heightmap.height, minHeight, maxHeight, waterLevel, thresholdsLocked });
+    const chain = buildMutatorChain(mutators, context);
+
+    const base = heightmapToHeights(heightmap, minHeight, maxHeight);
+    const heights = new Float32Array(evaluateMutatorChain(base, chain, context, createChainCache()));
+    const { min, max } = findHeightRange(heights);
+    const blob = await encodeHeightmap(heights, heightmap.width, heightmap.height, format, min, max);
+    return {
+        bytes: new Uint8Array(await blob.arrayBuffer()),
+        chain,
+        output: { format, width: heightmap.width, height: heightmap.height, minHeight: min, maxHeight: max }
+    };
+}
+
+function formatFromFileName(fileName) {
+    return Object.keys(HEIGHTMAP_FORMATS).find(format => fileName.endsWith(HEIGHTMAP_FORMATS[format]));
+}
+
+function parseNumberOption(values, key, required) {
+    if (values[key] === undefined) {
+        if (required) throw new Error(`--${key} is required`);
+        return undefined;
+    }
+    const value = Number(values[key]);
+    if (!Number.isFinite(value)) throw new Error(`--${key} must be a number`);
+    return value;
+}
+
+export async function main(args) {
+    const { values, positionals } = parseArgs({
+        args,
+        allowPositionals: true,
+        options: {
+            recipe: { type: 'string', short: 'r' },
+            'min-height': { type: 'string' },
+            'max-height': { type: 'string' },
+            output: { type: 'string', short: 'o' },
+            format: { type: 'string', short: 'f' },
+            width: { type: 'string' },
+            height: { type: 'string' },
+            'water-level': { type: 'string' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+    if (values.help) {
+        console.log(USAGE);
+        return;
+    }
+    if (positionals.length !== 1 || !values.recipe) throw new Error(`Expected one heightmap and a recipe\n\n${USAGE}`);
+
+    const [input] = positionals;
+    const minHeight = parseNumberOption(values, 'min-height', true);
+    const maxHeight = parseNumberOption(values, 'max-height', true);
+    const format = values.format || (values.output && formatFromFileName(values.output)) || 'png16';
+    const baseName = basename(input, extname(input)) + '_mutated';
+    const outputFile = values.output || `${baseName}${HEIGHTMAP_FORMATS[format] ?? ''}`;
+
+    const recipe = parseRecipe(JSON.parse(await readFile(values.recipe, 'utf8')));
+    if (recipe.sculpted) console.warn('Warning: the recipe was saved with brush edits, which are not part of it');
+    // A water level given on the command line is the one the thresholds are measured from
+    const waterOption = parseNumberOption(values, 'water-level', false);
+    const waterLevel = waterOption ?? recipe.waterLevel;
+    const thresholdsLocked = waterOption === undefined && recipe.thresholdsLocked;
+
+    const heightmap = await decodeHeightmapFile(input, await readFile(input), {
+        width: parseNumberOption(values, 'width', false),
+        height: parseNumberOption(values, 'height', false)
+    });
+    const { bytes, chain, output } = await mutateHeightmap(heightmap, recipe.mutators, { minHeight, maxHeight, waterLevel, thresholdsLocked, format });
+    output.fileName = basename(outputFile);
+
+    const extension = outputFile.endsWith(HEIGHTMAP_FORMATS[format]) ? HEIGHTMAP_FORMATS[format] : extname(outputFile);
+    const recipeFile = `${outputFile.slice(0, outputFile.length - extension.length)}.recipe.json`;
+    const savedRecipe = {
+        map: basename(input),
+        mutators: chain,
+        waterLevel: { height: waterLevel, thresholdsLocked },
+        output
+    };
+    await writeFile(outputFile, bytes);
+    await writeFile(recipeFile, JSON.stringify(savedRecipe, null, 2));
+    console.log(JSON.stringify(output));
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    main(process.argv.slice(2)).catch(error => {
+        console.error(error.message);
+        process.exitCode = 1;
+    });
+}
@@ -0,0 +1,19 @@
+// Traces the contour overlay off the main thread, so the lines can follow a dragged slider.
+// Messages in:
+//   { type: 'trace', baseVersion, request } - trace the overlay for request (see traceContourOverlay),
+//                                             whose heights are transferred
+// Messages out:
+//   { type: 'result', baseVersion, overlay } - the traced overlay, its segment buffers transferred
+//   { type: 'error', baseVersion, message }
+import { traceContourOverlay } from './contours.js';
+
+self.addEventListener('message', ({ data }) => {
+    if (data.type !== 'trace') return;
+    try {
+        const overlay = traceContourOverlay(data.request);
+        self.postMessage({ type: 'result', baseVersion: data.baseVersion, overlay },
+            [overlay.minor.buffer, overlay.major.buffer, overlay.water.buffer]);
+    } catch (error) {
+        self.postMessage({ type: 'error', baseVersion: data.baseVersion, message: error.message });
+    }
+});
@@ -0,0 +1,237 @@
+// Contour lines (isolines) of a height buffer, traced with marching squares, and their SVG export.
+// Shared by the viewer (script3d.js), its contour worker (contourWorker.js) and the tests, so it
+// must not depend on the DOM or Three.js.
+// Coordinates are in heightmap pixels: x along a row, z down the rows.
+
+// Segments crossing a cell for each corner case, as pairs of cell edges (0 top, 1 right, 2 bottom,
+// 3 left). The case has a bit set for each corner at or above the level: 8 top left, 4 top right,
+// 2 bottom right, 1 bottom left. The saddles 5 and 10 are resolved separately.
+const CELL_SEGMENTS = [
+    [], [[3, 2]], [[2, 1]], [[3, 1]],
+    [[0, 1]], null, [[0, 2]], [[3, 0]],
+    [[3, 0]], [[0, 2]], null, [[0, 1]],
+    [[3, 1]], [[2, 1]], [[3, 2]], []
+];
+
+/**
+ * The multiples of `interval` between min and max, lowest first.
+ */
+export function contourLevels(min, max, interval) {
+    const levels = [];
+    if (!(interval > 0)) return levels;
+    for (let step = Math.ceil(min / interval) || 0; step * interval <= max; step++) levels.push(step * interval);
+    return levels;
+}
+
+// Index of the first level above `value` in the sorted levels
+function firstLevelAbove(levels, value) {
+    let low = 0, high = levels.length;
+    while (low < high) {
+        const middle = (low + high) >> 1;
+        if (levels[middle] > value) high = middle;
+        else low = middle + 1;
+    }
+    return low;
+}
+
+/**
+ * Traces the contours of `heights` (width x height) at each of the sorted `levels`.
+ * Returns [{ level, lines }] with one entry per level that the terrain crosses, where each line
+ * is a flat [x0, z0, x1, z1, ...] array. Closed lines end on their first point.
+ */
+export function computeContours(heights, width, height, levels) {
+    // Each crossed edge is identified by its first corner: horizontal edges get even ids, vertical odd ones
+    const horizontalEdge = (x, z) => 2 * (z * width + x);
+    const verticalEdge = (x, z) => 2 * (z * width + x) + 1;
+    const segmentsByLevel = levels.map(() => []);
+
+    for (let z = 0; z < height - 1; z++) {
+        for (let x = 0; x < width - 1; x++) {
+            const a = heights[z * width + x];
+            const b = heights[z * width + x + 1];
+            const c = heights[(z + 1) * width + x + 1];
+            const d = heights[(z + 1) * width + x];
+            const cellMin = Math.min(a, b, c, d);
+            const cellMax = Math.max(a, b, c, d);
+            if (cellMin === cellMax) continue;
+
+            const edges = [horizontalEdge(x, z), verticalEdge(x + 1, z), horizontalEdge(x, z + 1), verticalEdge(x, z)];
+            for (let i = firstLevelAbove(levels, cellMin); i < levels.length && levels[i] <= cellMax; i++) {
+                const level = levels[i];
+                const index = (a >= level ? 8 : 0) | (b >= level ? 4 : 0) | (c >= level ? 2 : 0) | (d >= level ? 1 : 0);
+                let segments = CELL_SEGMENTS[index];
+                if (!segments) {
+                    // A saddle: the cell's mean decides whether the two high corners are joined
+                    const joined = (a + b + c + d) / 4 >= level;
+                    segments = (index === 5) === joined ? [[3, 0], [2, 1]] : [[0, 1], [3, 2]];
+                }
+                for (const [from, to] of segments) segmentsByLevel[i].push(edges[from], edges[to]);
+            }
+        }
+    }
+
+    // Where the contour at `level` crosses an edge, interpolated between the edge's corners
+    function edgePoint(edge, level) {
+        const corner = edge >> 1;
+        const x = corner % width, z = (corner - x) / width;
+        const next = edge & 1 ? corner + width : corner + 1;
+        const t = (level - heights[corner]) / (heights[next] - heights[corner]);
+        return edge & 1 ? [x, z + t] : [x + t, z];
+    }
+
+    return levels.map((level, i) => ({ level, lines: joinSegments(segmentsByLevel[i], level, edgePoint) }))
+        .filter(contour => contour.lines.length);
+}
+
+// Chains segments (pairs of edge ids) that share an edge into lines of points
+function joinSegments(segments, level, edgePoint) {
+    const segmentCount = segments.length / 2;
+    const segmentsAtEdge = new Map();
+    for (let s = 0; s < segmentCount; s++) {
+        for (const edge of [segments[s * 2], segments[s * 2 + 1]]) {
+            const list = segmentsAtEdge.get(edge);
+            if (list) list.push(s);
+            else segmentsAtEdge.set(edge, [s]);
+        }
+    }
+
+    const used = new Uint8Array(segmentCount);
+    // Follows unused segments from `edge`, returning the edges passed in order
+    function walk(edge) {
+        const path = [];
+        for (;;) {
+            const next = segmentsAtEdge.get(edge).find(s => !used[s]);
+            if (next === undefined) return path;
+            used[next] = 1;
+            edge = segments[next * 2] === edge ? segments[next * 2 + 1] : segments[next * 2];
+            path.push(edge);
+        }
+    }
+
+    const lines = [];
+    for (let s = 0; s < segmentCount; s++) {
+        if (used[s]) continue;
+        used[s] = 1;
+        const start = segments[s * 2], end = segments[s * 2 + 1];
+        const forward = walk(end);
+        const backward = walk(start);
+        const edges = [...backward.reverse(), start, end, ...forward];
+        lines.push(edges.flatMap(edge => edgePoint(edge, level)));
+    }
+    return lines;
+}
+
+/**
+ * Picks up to one label position per line, at the middle point of lines with at least
+ * `minPoints` points. Returns [{ level, x, z }].
+ */
+export function contourLabelPositions(contours, minPoints = 20) {
+    const positions = [];
+    for (const { level, lines } of contours) {
+        for (const line of lines) {
+            const points = line.length / 2;
+            if (points < minPoints) continue;
+            const middle = Math.floor(points / 2);
+            positions.push({ level, x: line[middle * 2], z: line[middle * 2 + 1] });
+        }
+    }
+    return positions;
+}
+
+/**
+ * Splits contours into minor ones and major (emphasized) ones at every `majorEvery`th multiple
+ * of `interval`, counting from 0. Returns { minor, major }.
+ */
+export function splitMajorContours(contours, interval, majorEvery) {
+    const isMajor = contour => Math.round(contour.level / interval) % majorEvery === 0;
+    return { minor: contours.filter(contour => !isMajor(contour)), major: contours.filter(isMajor) };
+}
+
+/**
+ * The lines of `contours` as separate segments in a flat [x0, y0, z0, x1, y1, z1, ...] buffer, ready
+ * for a Three.js LineSegments. Pixel coordinates are multiplied by scaleX and scaleZ, and y is the
+ * line's level plus `lift`.
+ */
+export function contourSegments(contours, scaleX, scaleZ, lift = 0) {
+    let segmentCount = 0;
+    for (const { lines } of contours) {
+        for (const line of lines) segmentCount += line.length / 2 - 1;
+    }
+
+    const positions = new Float32Array(segmentCount * 6);
+    let offset = 0;
+    for (const { level, lines } of contours) {
+        const y = level + lift;
+        for (const line of lines) {
+            for (let i = 2; i < line.length; i += 2) {
+                positions[offset++] = line[i - 2] * scaleX;
+                positions[offset++] = y;
+                positions[offset++] = line[i - 1] * scaleZ;
+                positions[offset++] = line[i] * scaleX;
+                positions[offset++] = y;
+                positions[offset++] = line[i + 1] * scaleZ;
+            }
+        }
+    }
+    return positions;
+}
+
+/**
+ * Traces everything the viewer's contour overlay draws for one set of heights. Takes
+ * { heights, width, height, levels, interval, majorEvery, waterLevel, scaleX, scaleZ, lift, labels },
+ * where waterLevel is null while the water is hidden, and returns { levelCount, minor, major, water,
+ * labels }: the number of levels crossed, a contourSegments buffer per kind of line, and the label
+ * positions on the major lines (empty unless `labels` is set).
+ */
+export function traceContourOverlay({ heights, width, height, levels, interval, majorEvery, waterLevel, scaleX, scaleZ, lift, labels }) {
+    const contours = computeContours(heights, width, height, levels);
+    const { minor, major } = splitMajorContours(contours, interval, majorEvery);
+    const water = waterLevel === null ? [] : computeContours(heights, width, height, [waterLevel]);
+    return {
+        levelCount: contours.length,
+        minor: contourSegments(minor, scaleX, scaleZ, lift),
+        major: contourSegments(major, scaleX, scaleZ, lift),
+        water: contourSegments(water, scaleX, scaleZ, lift),
+        labels: labels ? contourLabelPositions(major) : []
+    };
+}
+
+const formatCoordinate = value => String(Math.round(value * 10) / 10);
+
+function escapeXml(text) {
+    return String(text).replace(/[<>&"]/g, character => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' })[character]);
+}
+
+/**
+ * Draws contours as an SVG document of width x height units; heightmap pixel coordinates are
+ * multiplied by scaleX and scaleZ. Each layer is { contours, stroke, strokeWidth, name } and is drawn
+ * in order; labels are { x, z, text } in heightmap pixels.
+ */
+export function contoursToSvg({ width, height, scaleX, scaleZ, layers, labels = [], background = '#ffffff' }) {
+    const fontSize = Math.max(width, height) / 100;
+    const lines = [
+        `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}">`,
+        `  <rect width="${width}" height="${height}" fill="${background}"/>`
+    ];
+    for (const layer of layers) {
+        lines.push(`  <g id="${escapeXml(layer.name)}" fill="none" stroke="${layer.stroke}" stroke-width="${layer.strokeWidth}" stroke-linejoin="round">`);
+        for (const { level, lines: contourLines } of layer.contours) {
+            const path = contourLines.map(line => {
+                let d = `M${formatCoordinate(line[0] * scaleX)} ${formatCoordinate(line[1] * scaleZ)}`;
+                for (let i = 2; i < line.length; i += 2) d += `L${formatCoordinate(line[i] * scaleX)} ${formatCoordinate(line[i + 1] * scaleZ)}`;
+                return d;
+            }).join('');
+            lines.push(`    <path data-level="${level}" d="${path}"/>`);
+        }
+        lines.push('  </g>');
+    }
+    if (labels.length) {
+        lines.push(`  <g font-family="sans-serif" font-size="${formatCoordinate(fontSize)}" text-anchor="middle" dominant-baseline="middle" fill="#000000" stroke="${background}" stroke-width="${formatCoordinate(fontSize / 4)}" paint-order="stroke">`);
+        for (const label of labels) {
+            lines.push(`    <text x="${formatCoordinate(label.x * scaleX)}" y="${formatCoordinate(label.z * scaleZ)}">${escapeXml(label.text)}</text>`);
+        }
+        lines.push('  </g>');
+    }
+    lines.push('</svg>', '');
+    return lines.join('\n');
+}
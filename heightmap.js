@@ -0,0 +1,242 @@
+// Heightmap decoding, height conversion and encoding.
+// Shared by the viewer (script3d.js) and the command line tool (cli.js), so the same heightmap and
+// recipe produce identical samples in both; PNG bytes may still differ with the zlib build that
+// compresses them. It must not depend on the DOM or Three.js; it only needs Blob and the
+// compression streams, which browsers and Node 18+ both provide.
+
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+const PNG_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }; // Channels per PNG color type
+
+// The export formats and the file extension each is written with
+export const HEIGHTMAP_FORMATS = {
+    png16: '.png',
+    raw16: '.raw',
+    float32: '.f32.bin'
+};
+
+export async function inflate(bytes, format) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format));
+    return new Response(stream).arrayBuffer();
+}
+
+async function deflate(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+const CRC32_TABLE = new Uint32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = (c & 1) ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c;
+});
+
+export function crc32(bytes, crc = 0) {
+    crc = ~crc >>> 0;
+    for (let i = 0; i < bytes.length; i++) crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return ~crc >>> 0;
+}
+
+function paethPredictor(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    return pb <= pc ? b : c;
+}
+
+/**
+ * Decodes the first channel of a non-interlaced 8- or 16-bit PNG at its full bit depth.
+ * The browser's own image decoding would reduce 16-bit heightmaps to 8 bits.
+ * Returns { width, height, data, maxValue } with one sample per pixel.
+ */
+export async function decodePngHeightmap(buffer) {
+    const bytes = new Uint8Array(buffer);
+    if (!PNG_SIGNATURE.every((b, i) => bytes[i] === b)) throw new Error('Not a PNG file');
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const idatChunks = [];
+    let header, palette;
+    for (let offset = 8; offset < bytes.length;) {
+        const length = view.getUint32(offset);
+        const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+        const data = bytes.subarray(offset + 8, offset + 8 + length);
+        if (type === 'IHDR') {
+            header = {
+                width: view.getUint32(offset + 8),
+                height: view.getUint32(offset + 12),
+                bitDepth: data[8],
+                colorType: data[9],
+                interlace: data[12]
+            };
+        } else if (type === 'PLTE') {
+            palette = data;
+        } else if (type === 'IDAT') {
+            idatChunks.push(data);
+        } else if (type === 'IEND') {
+            break;
+        }
+        offset += 12 + length;
+    }
+
+    if (!header) throw new Error('PNG file has no header');
+    if (header.interlace) throw new Error('Interlaced PNGs are not supported');
+    if (header.bitDepth !== 8 && header.bitDepth !== 16) throw new Error(`Unsupported PNG bit depth ${header.bitDepth}`);
+    const channels = PNG_CHANNELS[header.colorType];
+    if (!channels) throw new Error(`Unsupported PNG color type ${header.colorType}`);
+
+    const { width, height, bitDepth } = header;
+    const bytesPerPixel = channels * bitDepth / 8;
+    const stride = width * bytesPerPixel;
+    const raw = new Uint8Array(await inflate(new Blob(idatChunks), 'deflate'));
+    if (raw.length < (stride + 1) * height) throw new Error('PNG image data is truncated');
+
+    // Undo the per-scanline filters
+    const pixels = new Uint8Array(stride * height);
+    let previous = new Uint8Array(stride);
+    for (let y = 0; y < height; y++) {
+        const filter = raw[y * (stride + 1)];
+        const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+        const out = pixels.subarray(y * stride, (y + 1) * stride);
+        for (let x = 0; x < stride; x++) {
+            const a = x >= bytesPerPixel ? out[x - bytesPerPixel] : 0;
+            const b = previous[x];
+            const c = x >= bytesPerPixel ? previous[x - bytesPerPixel] : 0;
+            let value = line[x];
+            if (filter === 1) value += a;
+            else if (filter === 2) value += b;
+            else if (filter === 3) value += (a + b) >> 1;
+            else if (filter === 4) value += paethPredictor(a, b, c);
+            out[x] = value;
+        }
+        previous = out;
+    }
+
+    // Keep only the first channel (gray, or red), resolving palette indices
+    const data = bitDepth === 16 ? new Uint16Array(width * height) : new Uint8Array(width * height);
+    for (let i = 0; i < data.length; i++) {
+        const p = i * bytesPerPixel;
+        if (bitDepth === 16) data[i] = (pixels[p] << 8) | pixels[p + 1];
+        else data[i] = palette ? palette[pixels[p] * 3] : pixels[p];
+    }
+    return { width, height, data, maxValue: bitDepth === 16 ? 65535 : 255 };
+}
+
+/**
+ * Decodes a raw heightmap of little-endian uint16 values, as in SMF files.
+ * Without a width and height the heightmap is taken to be square.
+ */
+export function decodeRawHeightmap(buffer, width, height) {
+    const bytes = new Uint8Array(buffer);
+    const count = Math.floor(bytes.length / 2);
+    if (!width || !height) {
+        width = height = Math.round(Math.sqrt(count));
+        if (width * height !== count) throw new Error('Raw heightmap is not square; give its width and height');
+    }
+    if (width * height * 2 !== bytes.length) {
+        throw new Error(`Raw heightmap has ${bytes.length} bytes, expected ${width * height * 2} for ${width}x${height}`);
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const data = new Uint16Array(width * height);
+    for (let i = 0; i < data.length; i++) data[i] = view.getUint16(i * 2, true);
+    return { width, height, data, maxValue: 65535 };
+}
+
+// Maps a real height to a pixel value (0-255 for 8-bit, 0-65535 for 16-bit heightmaps)
+export function mapHeightToPixel(height, maxPixelValue, minHeight, maxHeight) {
+    const normalized = (height - minHeight) / (maxHeight - minHeight);
+    return Math.max(0, Math.min(maxPixelValue, normalized * maxPixelValue));
+}
+
+// Maps a pixel value back to a real height
+export function mapPixelToHeight(pixelValue, maxPixelValue, minHeight, maxHeight) {
+    const normalized = pixelValue / maxPixelValue;
+    return normalized * (maxHeight - minHeight) + minHeight;
+}
+
+/**
+ * Converts a decoded heightmap into real heights between the map's minHeight and maxHeight.
+ */
+export function heightmapToHeights(heightmap, minHeight, maxHeight) {
+    const heights = new Float32Array(heightmap.width * heightmap.height);
+    for (let i = 0; i < heights.length; i++) {
+        heights[i] = mapPixelToHeight(heightmap.data[i], heightmap.maxValue, minHeight, maxHeight);
+    }
+    return heights;
+}
+
+function pngChunk(type, data) {
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+    return chunk;
+}
+
+/**
+ * Encodes uint16 samples as a 16-bit grayscale PNG.
+ */
+export async function encodePng16(samples, width, height) {
+    const header = new Uint8Array(13);
+    const headerView = new DataView(header.buffer);
+    headerView.setUint32(0, width);
+    headerView.setUint32(4, height);
+    header[8] = 16; // Bit depth
+    header[9] = 0;  // Grayscale
+
+    // Every scanline uses the "Up" filter, which suits smooth heightmaps well
+    const stride = width * 2;
+    const raw = new Uint8Array((stride + 1) * height);
+    for (let y = 0; y < height; y++) {
+        const line = y * (stride + 1);
+        raw[line] = 2;
+        for (let x = 0; x < width; x++) {
+            const value = samples[y * width + x];
+            const above = y > 0 ? samples[(y - 1) * width + x] : 0;
+            raw[line + 1 + x * 2] = ((value >> 8) - (above >> 8)) & 0xff;
+            raw[line + 2 + x * 2] = ((value & 0xff) - (above & 0xff)) & 0xff;
+        }
+    }
+
+    return new Blob([
+        new Uint8Array(PNG_SIGNATURE),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', await deflate(raw)),
+        pngChunk('IEND', new Uint8Array(0))
+    ], { type: 'image/png' });
+}
+
+/**
+ * Normalizes real heights into the full uint16 range between minHeight and maxHeight,
+ * the same way SMF heightmaps are stored.
+ */
+export function heightsToUint16(heights, minHeight, maxHeight) {
+    const range = (maxHeight - minHeight) || 1;
+    const samples = new Uint16Array(heights.length);
+    for (let i = 0; i < heights.length; i++) {
+        samples[i] = Math.round(Math.min(Math.max((heights[i] - minHeight) / range, 0), 1) * 65535);
+    }
+    return samples;
+}
+
+function toLittleEndianBytes(typedArray) {
+    const bytes = new Uint8Array(typedArray.length * typedArray.BYTES_PER_ELEMENT);
+    const view = new DataView(bytes.buffer);
+    for (let i = 0; i < typedArray.length; i++) {
+        if (typedArray instanceof Float32Array) view.setFloat32(i * 4, typedArray[i], true);
+        else view.setUint16(i * 2, typedArray[i], true);
+    }
+    return bytes;
+}
+
+/**
+ * Encodes real heights in one of the HEIGHTMAP_FORMATS. The integer formats span
+ * minHeight to maxHeight, so those must be stored alongside them.
+ */
+export async function encodeHeightmap(heights, width, height, format, minHeight, maxHeight) {
+    if (format === 'png16') return encodePng16(heightsToUint16(heights, minHeight, maxHeight), width, height);
+    if (format === 'raw16') return new Blob([toLittleEndianBytes(heightsToUint16(heights, minHeight, maxHeight))]);
+    if (format === 'float32') return new Blob([toLittleEndianBytes(heights)]);
+    throw new Error(`Unknown heightmap format ${format}`);
+}
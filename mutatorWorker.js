@@ -0,0 +1,33 @@
+// Evaluates the mutator chain off the main thread.
+// Messages in:
+//   { type: 'setBase', heights, baseVersion }   - a new base heightmap (transferred)
+//   { type: 'run', chain, context, waterLevel } - evaluate the chain against the current base,
+//                                                 taking the water statistics at waterLevel
+// Messages out:
+//   { type: 'result', baseVersion, heights, min, max, stats } - the mutated heights (transferred) and
+//                                                 the water statistics before and after each step
+//   { type: 'error', baseVersion, message }
+import { computeChainWaterStats, createChainCache, evaluateMutatorChain, findHeightRange } from './mutators.js';
+
+let baseHeights = null;
+let baseVersion = -1;
+let cache = createChainCache();
+
+self.addEventListener('message', ({ data }) => {
+    if (data.type === 'setBase') {
+        baseHeights = data.heights;
+        baseVersion = data.baseVersion;
+        cache = createChainCache();
+    } else if (data.type === 'run') {
+        try {
+            const result = evaluateMutatorChain(baseHeights, data.chain, data.context, cache);
+            // The result is the base or a cached step, so hand over a copy
+            const heights = new Float32Array(result);
+            const { min, max } = findHeightRange(heights);
+            const stats = computeChainWaterStats(baseHeights, cache, data.waterLevel);
+            self.postMessage({ type: 'result', baseVersion, heights, min, max, stats }, [heights.buffer]);
+        } catch (error) {
+            self.postMessage({ type: 'error', baseVersion, message: error.message });
+        }
+    }
+});
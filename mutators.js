@@ -0,0 +1,338 @@
+// Terrain mutator types and chain evaluation.
+// Shared by the viewer (script3d.js), the mutator worker (mutatorWorker.js) and the command line
+// tool (cli.js), so it must not depend on the DOM or Three.js.
+
+export function findHeightRange(heights) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = 0; i < heights.length; i++) {
+        if (heights[i] < min) min = heights[i];
+        if (heights[i] > max) max = heights[i];
+    }
+    return { min, max };
+}
+
+// Integer hash of a lattice point, mapped to [0, 1)
+function hashLattice(x, y, seed) {
+    let h = seed ^ Math.imul(x, 374761393) ^ Math.imul(y, 668265263);
+    h = Math.imul(h ^ (h >>> 13), 1274126177);
+    return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
+}
+
+// Smoothly interpolated value noise in [-1, 1]
+function valueNoise(x, y, seed) {
+    const x0 = Math.floor(x), y0 = Math.floor(y);
+    const tx = x - x0, ty = y - y0;
+    const sx = tx * tx * (3 - 2 * tx), sy = ty * ty * (3 - 2 * ty);
+    const top = hashLattice(x0, y0, seed) * (1 - sx) + hashLattice(x0 + 1, y0, seed) * sx;
+    const bottom = hashLattice(x0, y0 + 1, seed) * (1 - sx) + hashLattice(x0 + 1, y0 + 1, seed) * sx;
+    return (top * (1 - sy) + bottom * sy) * 2 - 1;
+}
+
+/**
+ * Share of the heights below the water level and their mean depth under it.
+ */
+export function computeWaterStats(heights, waterLevel) {
+    let underwater = 0;
+    let depthSum = 0;
+    for (let i = 0; i < heights.length; i++) {
+        if (heights[i] < waterLevel) {
+            underwater++;
+            depthSum += waterLevel - heights[i];
+        }
+    }
+    return {
+        underwaterFraction: underwater / heights.length,
+        meanDepth: underwater ? depthSum / underwater : 0
+    };
+}
+
+/**
+ * Separable Gaussian blur of a height buffer; samples past the edges are clamped.
+ */
+export function gaussianBlur(heights, width, height, radius) {
+    const sigma = Math.max(radius / 2, 0.5);
+    const kernel = [];
+    let kernelSum = 0;
+    for (let k = -radius; k <= radius; k++) {
+        const weight = Math.exp(-(k * k) / (2 * sigma * sigma));
+        kernel.push(weight);
+        kernelSum += weight;
+    }
+
+    const temp = new Float32Array(heights.length);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let sum = 0;
+            for (let k = -radius; k <= radius; k++) {
+                const sx = Math.min(Math.max(x + k, 0), width - 1);
+                sum += heights[y * width + sx] * kernel[k + radius];
+            }
+            temp[y * width + x] = sum / kernelSum;
+        }
+    }
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let sum = 0;
+            for (let k = -radius; k <= radius; k++) {
+                const sy = Math.min(Math.max(y + k, 0), height - 1);
+                sum += temp[sy * width + x] * kernel[k + radius];
+            }
+            heights[y * width + x] = sum / kernelSum;
+        }
+    }
+}
+
+// --- MUTATOR TYPES ---
+// Each type declares its parameters and how it transforms the height buffer; the toolbar
+// buttons, UI rows and URL encoding are all generated from this registry.
+//   code:   short name used in shared URLs
+//   params: { key, label, min, max, step, default, kind }. min, max and default may be
+//           functions of the mutator context, so ranges follow the loaded map.
+//           kind 'height' marks a height that is measured from the water level, so its
+//           range is the map's height range shifted by the water level.
+//   apply(heights, params, context) transforms the Float32Array of real heights in place.
+//   context: { width, height, waterLevel, minHeight, maxHeight } of the original map.
+//           waterLevel is the live water level, or 0 when thresholds are locked to absolute heights.
+const LOWEST = context => context.minHeight - context.waterLevel;
+const HIGHEST = context => context.maxHeight - context.waterLevel;
+const HEIGHT_RANGE = { min: LOWEST, max: HIGHEST };
+
+export const MUTATOR_TYPES = {
+    above: {
+        label: 'Raise Above',
+        buttonLabel: "Above",
+        code: 'a',
+        params: [
+            { key: 'threshold', label: 'Threshold', ...HEIGHT_RANGE, step: 1, default: HIGHEST, kind: 'height' },
+            { key: 'factor', label: 'Factor', min: -10, max: 10, step: 0.01, default: 1 }
+        ],
+        // Heights above the threshold are stretched away from it by the factor
+        apply(heights, { threshold, factor }, context) {
+            const absoluteThreshold = context.waterLevel + threshold;
+            const delta = factor - 1;
+            for (let i = 0; i < heights.length; i++) {
+                const originalHeight = heights[i];
+                if (originalHeight > absoluteThreshold) {
+                    const distance = originalHeight - absoluteThreshold;
+                    heights[i] = originalHeight + (distance * delta);
+                }
+            }
+        }
+    },
+    below: {
+        label: 'Lower Below',
+        buttonLabel: "Below",
+        code: 'b',
+        params: [
+            { key: 'threshold', label: 'Threshold', ...HEIGHT_RANGE, step: 1, default: LOWEST, kind: 'height' },
+            { key: 'factor', label: 'Factor', min: -10, max: 10, step: 0.01, default: 1 }
+        ],
+        // Heights below the threshold are stretched away from it by the factor
+        apply(heights, { threshold, factor }, context) {
+            const absoluteThreshold = context.waterLevel + threshold;
+            const delta = factor - 1;
+            for (let i = 0; i < heights.length; i++) {
+                const originalHeight = heights[i];
+                if (originalHeight < absoluteThreshold) {
+                    const distance = absoluteThreshold - originalHeight;
+                    heights[i] = originalHeight - (distance * delta);
+                }
+            }
+        }
+    },
+    clamp: {
+        label: 'Clamp',
+        buttonLabel: "Clamp",
+        code: 'c',
+        params: [
+            { key: 'min', label: 'Min', ...HEIGHT_RANGE, step: 1, default: LOWEST, kind: 'height' },
+            { key: 'max', label: 'Max', ...HEIGHT_RANGE, step: 1, default: HIGHEST, kind: 'height' }
+        ],
+        apply(heights, { min, max }, context) {
+            const low = context.waterLevel + Math.min(min, max);
+            const high = context.waterLevel + Math.max(min, max);
+            for (let i = 0; i < heights.length; i++) {
+                heights[i] = Math.min(Math.max(heights[i], low), high);
+            }
+        }
+    },
+    terrace: {
+        label: 'Terrace',
+        buttonLabel: "Terrace",
+        code: 't',
+        params: [
+            { key: 'steps', label: 'Steps', min: 2, max: 50, step: 1, default: 8 },
+            { key: 'sharpness', label: 'Sharpness', min: 0, max: 1, step: 0.01, default: 1 }
+        ],
+        // Snaps heights to N evenly spaced levels between the current min and max
+        apply(heights, { steps, sharpness }) {
+            const { min, max } = findHeightRange(heights);
+            const range = max - min;
+            if (range <= 0) return;
+            for (let i = 0; i < heights.length; i++) {
+                const level = Math.round((heights[i] - min) / range * steps) / steps;
+                const terraced = min + level * range;
+                heights[i] += (terraced - heights[i]) * sharpness;
+            }
+        }
+    },
+    smooth: {
+        label: 'Smooth',
+        buttonLabel: "Smooth",
+        code: 's',
+        params: [
+            { key: 'radius', label: 'Radius', min: 1, max: 25, step: 1, default: 3 }
+        ],
+        // Gaussian blur with a radius in heightmap pixels
+        apply(heights, { radius }, context) {
+            gaussianBlur(heights, context.width, context.height, Math.round(radius));
+        }
+    },
+    noise: {
+        label: 'Noise',
+        buttonLabel: "Noise",
+        code: 'n',
+        params: [
+            { key: 'amplitude', label: 'Amplitude', min: 0, max: 500, step: 1, default: 50 },
+            { key: 'scale', label: 'Scale', min: 2, max: 256, step: 1, default: 32 },
+            { key: 'octaves', label: 'Octaves', min: 1, max: 6, step: 1, default: 3 },
+            { key: 'seed', label: 'Seed', min: 0, max: 9999, step: 1, default: 1 }
+        ],
+        // Adds seeded fractal value noise; scale is the largest feature size in heightmap pixels
+        apply(heights, { amplitude, scale, octaves, seed }, context) {
+            const { width, height } = context;
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    let noise = 0, octaveAmplitude = 1, frequency = 1 / scale, total = 0;
+                    for (let o = 0; o < octaves; o++) {
+                        noise += valueNoise(x * frequency, y * frequency, seed + o * 1013) * octaveAmplitude;
+                        total += octaveAmplitude;
+                        octaveAmplitude /= 2;
+                        frequency *= 2;
+                    }
+                    heights[y * width + x] += noise / total * amplitude;
+                }
+            }
+        }
+    },
+    invert: {
+        label: 'Invert',
+        buttonLabel: "Invert",
+        code: 'i',
+        params: [],
+        // Flips the terrain upside down within its current min/max
+        apply(heights) {
+            const { min, max } = findHeightRange(heights);
+            for (let i = 0; i < heights.length; i++) {
+                heights[i] = min + max - heights[i];
+            }
+        }
+    },
+    flatten: {
+        label: 'Flatten',
+        buttonLabel: "Flatten",
+        code: 'f',
+        params: [
+            { key: 'target', label: 'Target', ...HEIGHT_RANGE, step: 1, default: 0, kind: 'height' },
+            { key: 'strength', label: 'Strength', min: 0, max: 1, step: 0.01, default: 0.5 }
+        ],
+        // Pulls every height toward the target height
+        apply(heights, { target, strength }, context) {
+            const absoluteTarget = context.waterLevel + target;
+            for (let i = 0; i < heights.length; i++) {
+                heights[i] += (absoluteTarget - heights[i]) * strength;
+            }
+        }
+    }
+};
+
+export function resolveParamValue(value, context) {
+    return typeof value === 'function' ? value(context) : value;
+}
+
+/**
+ * Complete params for a possibly partial mutator description, taking the type's defaults for
+ * missing or invalid values. Accepts both { type, params: {...} } and the older flat
+ * { type, threshold, factor } shape.
+ */
+export function resolveMutatorParams(description, context) {
+    const type = MUTATOR_TYPES[description.type];
+    if (!type) throw new Error(`Unknown mutator type ${description.type}`);
+    const source = description.params || description;
+    const params = {};
+    for (const param of type.params) {
+        const value = parseFloat(source[param.key]);
+        params[param.key] = Number.isFinite(value) ? value : resolveParamValue(param.default, context);
+    }
+    return params;
+}
+
+/**
+ * The context mutators are evaluated in, for a heightmap of width x height whose values span
+ * minHeight to maxHeight. 'height' params are measured from `waterLevel`, or from 0 when the
+ * thresholds are locked to absolute heights.
+ */
+export function createMutatorContext({ width, height, minHeight, maxHeight, waterLevel = 0, thresholdsLocked = false }) {
+    return { width, height, waterLevel: thresholdsLocked ? 0 : waterLevel, minHeight, maxHeight };
+}
+
+/**
+ * The chain evaluateMutatorChain runs for a list of mutator descriptions (the viewer's rows, a URL
+ * or a recipe): the enabled ones, with their params completed for `context`.
+ */
+export function buildMutatorChain(mutators, context) {
+    return mutators
+        .filter(mutator => mutator.enabled !== false)
+        .map(mutator => ({ type: mutator.type, params: resolveMutatorParams(mutator, context) }));
+}
+
+// Identifies a mutator's effect, so unchanged steps of a chain can be reused
+function mutatorKey(mutator) {
+    return JSON.stringify([mutator.type, mutator.params]);
+}
+
+/**
+ * Creates an empty cache of intermediate chain results for evaluateMutatorChain.
+ * A cache belongs to one base heightmap; create a new one when the base changes.
+ */
+export function createChainCache() {
+    return { contextKey: null, steps: [] };
+}
+
+/**
+ * Water statistics of `base` followed by those after each step of the last chain evaluated with `cache`.
+ */
+export function computeChainWaterStats(base, cache, waterLevel) {
+    return [base, ...cache.steps.map(step => step.heights)].map(heights => computeWaterStats(heights, waterLevel));
+}
+
+/**
+ * Applies `chain` ([{ type, params }]) to `base` and returns the final heights.
+ * The result after each mutator is kept in `cache`, so editing mutator N only
+ * recomputes from N onward. The returned array may be `base` or a cached step:
+ * callers must copy it before modifying it.
+ */
+export function evaluateMutatorChain(base, chain, context, cache) {
+    // Every step depends on the context (e.g. the water level), so a new context starts over
+    const contextKey = JSON.stringify(context);
+    if (cache.contextKey !== contextKey) {
+        cache.contextKey = contextKey;
+        cache.steps = [];
+    }
+
+    let start = 0;
+    while (start < chain.length && start < cache.steps.length && cache.steps[start].key === mutatorKey(chain[start])) {
+        start++;
+    }
+    cache.steps.length = start;
+
+    let heights = start > 0 ? cache.steps[start - 1].heights : base;
+    for (let i = start; i < chain.length; i++) {
+        const next = new Float32Array(heights);
+        MUTATOR_TYPES[chain[i].type].apply(next, chain[i].params, context);
+        cache.steps.push({ key: mutatorKey(chain[i]), heights: next });
+        heights = next;
+    }
+    return heights;
+}
@@ -1,5 +1,10 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { MUTATOR_TYPES, buildMutatorChain, computeChainWaterStats, computeWaterStats, createChainCache, createMutatorContext, evaluateMutatorChain, findHeightRange, resolveMutatorParams, resolveParamValue } from './mutators.js';
+import { createAssetCache, createIndexedDbStorage, createMemoryStorage } from './assetCache.js';
+import { HEIGHTMAP_FORMATS, crc32, decodePngHeightmap, encodeHeightmap, heightmapToHeights, inflate, mapHeightToPixel } from './heightmap.js';
+import { TEXTURE_LAYERS, TEXTURE_OPTIONS, getTextureOptions } from './textures.js';
+import { computeContours, contourLabelPositions, contourLevels, contoursToSvg, splitMajorContours, traceContourOverlay } from './contours.js';
 
 document.addEventListener('DOMContentLoaded', () => {
 
@@ -7,13 +12,14 @@ document.addEventListener('DOMContentLoaded', () => {
     const urlParams = new URLSearchParams(window.location.search);
     const mapFileNameFromURL = urlParams.get('map');
     const DEFAULT_MAP = 'all_that_glitters_v2.2.3';
-    const currentMapFileName = mapFileNameFromURL || DEFAULT_MAP;
+    let currentMapFileName = mapFileNameFromURL || DEFAULT_MAP;
 
     // const MAP_API_URL = 'https://api.bar-rts.com/maps/all_that_glitters_v2.2.3';
-    let MAP_API_URL = `https://api.bar-rts.com/maps/${currentMapFileName}`;
-    //const UNIT_DEFS_URL = 'unit_definitions.json';
-    //const REPLAY_DATA_URL = 'unit_positions.csv';
+    const MAP_API_BASE_URL = 'https://api.bar-rts.com/maps';
+    const MAX_CONTROLS_WIDTH = 1000; // The controls follow the texture's width up to that of the 3D view
     const FPS = 30;
+    const UNIT_MARKER_SIZE = 0.012; // Screen-space size of the unit markers
+    const UNIT_MARKER_LIFT = 10; // Raise markers slightly so they don't clip into the ground
     let WATER_LEVEL = 0; // <<< NEW: Define the map's water level
     const TEAM_COLORS = {
         '1': 0xff4d4d, '2': 0x4d94ff, '3': 0x33cc33, '4': 0xffff4d,
@@ -27,105 +33,362 @@ document.addEventListener('DOMContentLoaded', () => {
     // --- DOM ELEMENTS ---
     const canvasContainer = document.getElementById('canvas-container');
     const controlsDiv = document.getElementById('controls');
-    const mapSelector = document.getElementById('map-selector');
+    const mapBrowserList = document.getElementById('map-browser-list');
+    const mutatorContainer = document.getElementById('mutator-controls-container');
 
     // --- APP STATE & THREE.JS SETUP ---
     let scene, camera, renderer, orbitControls;
+    let perspectiveCamera, orthoCamera; // camera is whichever of these the current mode uses
     let imageWidth, imageHeight;
     let mapData;
-    let mapMetadata = {}, unitDefinitions = {}, unitTimelines = {}, unitSprites = {};
+    let mapMetadata = {}, unitTimelines = {}, unitSprites = {};
     let minFrame = Infinity, maxFrame = -Infinity, currentFrame = 0, isPlaying = false;
+    let playbackSpeed = 1;
+    let unitMarkerGroup, unitMarkerMaterials = {}; // Sprite materials keyed by team id
+    let markerTexture; // Shared by the unit markers and the layout overlay markers
+    const clock = new THREE.Clock();
     let mapWidthWorld, mapHeightWorld;
-    let heightDataContext;
-    let terrainMesh;
+    let terrainMesh; // A group of terrain chunk meshes sharing terrainMaterial
+    let terrainMaterial;
+    let terrainChunks; // The chunk layout behind terrainMesh, see createChunkedTerrain
     let waterPlane; // <<< NEW: To hold our water mesh
-    let displacementCanvas, displacementContext, baseHeightImageData, displacementTexture;
+    let heightmapWidth, heightmapHeight;
 
     // --- MUTATOR STATE ---
     let mutatorChain = []; // This will hold our chain of mutator objects
+    let lastMutatorId = Date.now();
+    const chainHistory = { undo: [], redo: [], current: [] }; // Snapshots of mutatorChain
     let baseHeightData; // <<< NEW: Will store a Float32Array of real map heights
+    let mutatedHeightData; // The output of the mutator chain, in real heights
+    let mutatedMinHeight, mutatedMaxHeight;
+    let thresholdsLocked = false; // Measure 'height' params from 0 rather than the live water level
+    let chainWaterStats = []; // Water statistics of the base and after each enabled mutator
 
-    async function loadAndPopulateMaps() {
-        try {
-            //Get live maps so we can label them as such
-             const live_map_response = await fetch('https://maps-metadata.beyondallreason.dev/latest/teiserver_maps.validated.json'); //source: https://discord.com/channels/549281623154229250/564591092360675328/1408537067960533168
-            if (!live_map_response.ok) throw new Error('Failed to fetch map list');
-            const liveMapData = await live_map_response.json();
-            const liveData = liveMapData.maps //Array of active map data
-            
-            //Get all map data for the sake of transparency
-            const all_map_response = await fetch('https://api.bar-rts.com/maps?limit=1000');
-            if (!all_map_response.ok) throw new Error('Failed to fetch map list');
-            const allMapData = await all_map_response.json();
-            const jsonData = allMapData.data //Array of all map data
-
-            mapSelector.innerHTML = ''; // Clear "Loading..." message
-            
-            //Mark maps as "isInactive" for easier data management
-            jsonData.forEach(map => {
-                const isInactive = !(liveData.find(
-                    tarMap => {
-                        return (tarMap.springName).localeCompare(map.scriptName) == 0;
-                    }
-                ));
-                map.isInactive = isInactive
-            });
-            
-            // Sort maps alphabetically by their descriptive name
-            mapData = jsonData.sort((a, b) => {
-                if (a.isInactive != b.isInactive) return a.isInactive && 1 || -1;
-                const nameA = a.scriptName || a.fileName;
-                const nameB = b.scriptName || b.fileName;
-                return nameA.localeCompare(nameB);
-            });
+    // --- SCULPT STATE ---
+    let sculptDeltaData; // Brush edits, as a height offset per heightmap pixel on top of the mutators
+    let sculptEdited = false;
+    let brushStroke = null; // { pointerId, x, z, flattenHeight } while a brush is being painted
+    let brushRing;
+    const raycaster = new THREE.Raycaster();
 
-            //Add maps to dropdown
-            mapData.forEach(map => {
-                const option = document.createElement('option');
-                option.value = map.fileName;
-                // Use the more descriptive 'scriptName' as the text, falling back to 'fileName'
-                // Also tag them as [INACTIVE]
-                option.textContent = (map.isInactive && "[INACTIVE] " || "") + (map.scriptName || map.fileName);
-                option.hidden = map.isInactive;
-                mapSelector.appendChild(option);
-            });
+    // --- MEASUREMENT STATE ---
+    let rulerActive = false;
+    let rulerPoints = []; // Clicked points on the terrain, in world coordinates
+    let rulerLine, rulerMarkers;
+    const terrainChangeListeners = []; // Called whenever the displayed heights change
+    const waterChangeListeners = []; // Called whenever the water level or its visibility changes
 
-            // Set the dropdown to show the currently loaded map
-            mapSelector.value = currentMapFileName;
+    // --- OVERLAY STATE ---
+    let layoutOverride = null; // A local layout JSON, used instead of mapMetadata when loaded
+    let overlayGroup;
+    let overlayItems = []; // { object, x, z, lift, aboveWater } kept on the terrain surface
+    let startBoxOutlines = []; // { line, points } draped over the terrain
 
-            // Add an event listener to reload the page with the new map on change
-            mapSelector.addEventListener('change', (event) => {
-                const newMap = event.target.value;
-                window.location.search = `?map=${newMap}`;
-            });
+    // --- TERRAIN ANALYSIS STATE ---
+    let terrainColorTexture; // The map's own texture; the analysis overlay is drawn over a copy of it
+    let analysisTexture, analysisCanvas;
+    let analysisUpdatePending = false;
+    let moveClasses = []; // Read from storage once, then replaced by Apply or Reset in the class editor
+
+    // --- CONTOUR STATE ---
+    let contourGroup; // Holds the contour lines and labels, created when they are first shown
+    let contourLines = []; // The LineSegments drawn for the current heights
+    let contourLabelSprites = []; // Kept across redraws, see placeContourLabels
+    let contourWorker; // Undefined until first needed, null where module workers are unsupported
+    let contourWorkerBusy = false, contourRunPending = false;
+    let contourUpdatePending = false;
+
+    // --- COMPARISON STATE ---
+    let originalTerrainMesh; // The terrain at baseHeightData, drawn left of the split view divider
+    let originalTerrainChunks;
+    let splitViewActive = false;
+    let splitPosition = 0.5; // The divider's position as a fraction of the view width
+    const rendererSize = new THREE.Vector2();
+
+    // --- MAP INFO STATE ---
+    const mapInfoPanel = document.getElementById('map-info-panel');
+    const minimapCanvas = document.getElementById('minimap');
+    let minimapBase = null; // The terrain texture at minimap size, drawn under the camera frustum
+    let minimapViewKey = null; // The camera matrices the minimap was last drawn for
+
+    // --- CAMERA STATE ---
+    let cameraMode = 'orbit';
+    let orthoViewHeight = 8192; // World units the top-down view spans vertically at zoom 1
+    let cameraFlight = null; // { fromPosition, fromTarget, fromZoom, toPosition, toTarget, toZoom, elapsed }
+    const pressedCameraKeys = new Set();
+    let edgeScrollPointer = null; // Pointer position over the canvas, 0-1 on each axis
+
+    // --- MAP LIST ---
+    // mapData holds one entry per map from the API, joined with the list of maps currently in
+    // rotation. When either list can't be fetched, MAP_LIST_FIXTURE_URL is used instead; it holds
+    // both responses as { liveMaps, allMaps } so the browser can be worked on offline.
+    // The lists and each map's metadata, heightmap and texture go through assetCache, which keeps
+    // them in IndexedDB so maps that were viewed before still open without a connection.
+    const LIVE_MAP_LIST_URL = 'https://maps-metadata.beyondallreason.dev/latest/teiserver_maps.validated.json'; //source: https://discord.com/channels/549281623154229250/564591092360675328/1408537067960533168
+    const ALL_MAP_LIST_URL = 'https://api.bar-rts.com/maps?limit=1000';
+    const MAP_LIST_FIXTURE_URL = 'fixtures/map-list.json';
+    const MAP_SIZE_CLASSES = { small: [0, 10], medium: [11, 16], large: [17, Infinity] }; // By the longer side
+    const MAP_LIST_MAX_AGE = 60 * 60 * 1000; // The lists change far more often than a map's own files
+    const MAP_ASSET_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+    const assetCache = createAssetCache({
+        storage: typeof indexedDB !== 'undefined' ? createIndexedDbStorage() : createMemoryStorage()
+    });
+
+    async function fetchJson(url, options) {
+        const response = await fetch(url, options);
+        if (!response.ok) throw new Error(`Failed to fetch ${url}: ${response.statusText}`);
+        return response.json();
+    }
+
+    // Where a group of cached fetches came from, as one of assetCache's sources
+    function combineSources(sources) {
+        if (sources.includes('offline')) return 'offline';
+        return sources.every(source => source === 'cache') ? 'cache' : 'network';
+    }
 
+    /**
+     * Fetches both map lists, resolving to { liveMaps, allMaps, source }. Source is an assetCache
+     * source, or 'fixture' when neither the network nor the cache had them.
+     */
+    async function fetchMapLists() {
+        try {
+            const lists = await Promise.all([LIVE_MAP_LIST_URL, ALL_MAP_LIST_URL].map(async (url) => {
+                const { blob, source } = await assetCache.fetch(url, { maxAge: MAP_LIST_MAX_AGE });
+                return { data: JSON.parse(await blob.text()), source };
+            }));
+            return { liveMaps: lists[0].data, allMaps: lists[1].data, source: combineSources(lists.map(list => list.source)) };
+        } catch (error) {
+            console.warn("Could not fetch the map lists, using the local fixture:", error);
+            return { ...await fetchJson(MAP_LIST_FIXTURE_URL), source: 'fixture' };
+        }
+    }
+
+    /**
+     * Flattens an API map record and its rotation entry (if any) into what the browser filters on.
+     */
+    function describeMap(record, liveEntry) {
+        const startCount = Array.isArray(record.startPositions) ? record.startPositions.length : 0;
+        const terrainTags = liveEntry?.terrain || [];
+        return {
+            fileName: record.fileName,
+            name: record.scriptName || record.fileName,
+            author: record.author || liveEntry?.author || '',
+            isInactive: !liveEntry,
+            width: record.width,
+            height: record.height,
+            playersMin: liveEntry?.playerCountMin ?? (startCount ? 2 : null),
+            playersMax: liveEntry?.playerCountMax ?? (startCount || null),
+            // Anything below the water line counts as a water map
+            hasWater: Number.isFinite(record.minDepth) ? record.minDepth < WATER_LEVEL : terrainTags.includes('water'),
+            thumbnail: record.thumbnail || `https://api.bar-rts.com/maps/${record.fileName}/texture-thumb.jpg`,
+            // Stands in for the map's own metadata if that can't be fetched
+            record
+        };
+    }
+
+    async function loadAndPopulateMaps() {
+        try {
+            const { liveMaps, allMaps, source } = await fetchMapLists();
+            const liveBySpringName = new Map(liveMaps.maps.map(map => [map.springName, map]));
+            mapData = allMaps.data.map(record => describeMap(record, liveBySpringName.get(record.scriptName)));
+            if (source === 'fixture') setMapListStatus(`Offline: showing ${mapData.length} maps from ${MAP_LIST_FIXTURE_URL}`);
+            else if (source === 'offline') setMapListStatus(`Offline: showing the ${mapData.length} cached maps`);
+            renderMapBrowser();
         } catch (error) {
             console.error("Could not load map list:", error);
-            mapSelector.innerHTML = '<option value="">Error loading maps</option>';
+            setMapListStatus("Error loading maps");
+        }
+    }
+
+    function setMapListStatus(message) {
+        document.getElementById('map-list-status').textContent = message;
+    }
+
+    function selectMap(fileName) {
+        switchMap(fileName);
+    }
+
+    /**
+     * Returns the maps matching the browser's search and filters, in the chosen order.
+     */
+    function filterMaps(maps, { search, status, size, players, terrain, sort }) {
+        const terms = search.toLowerCase().split(/\s+/).filter(Boolean);
+        const sizeRange = MAP_SIZE_CLASSES[size];
+        const playerCount = parseInt(players);
+
+        const matches = maps.filter(map => {
+            if (status === 'active' && map.isInactive) return false;
+            if (status === 'inactive' && !map.isInactive) return false;
+            if (sizeRange) {
+                const longerSide = Math.max(map.width, map.height);
+                if (!(longerSide >= sizeRange[0] && longerSide <= sizeRange[1])) return false;
+            }
+            if (playerCount && !(map.playersMin <= playerCount && playerCount <= map.playersMax)) return false;
+            if (terrain === 'water' && !map.hasWater) return false;
+            if (terrain === 'land' && map.hasWater) return false;
+            const text = `${map.name} ${map.fileName} ${map.author}`.toLowerCase();
+            return terms.every(term => text.includes(term));
+        });
+
+        const byName = (a, b) => a.name.localeCompare(b.name);
+        const comparators = {
+            name: byName,
+            size: (a, b) => (a.width * a.height) - (b.width * b.height) || byName(a, b),
+            players: (a, b) => (a.playersMax ?? 0) - (b.playersMax ?? 0) || byName(a, b)
+        };
+        // Active maps first, like the rotation lists them
+        return matches.sort((a, b) => (a.isInactive - b.isInactive) || (comparators[sort] || byName)(a, b));
+    }
+
+    function createMapCard(map) {
+        const card = document.createElement('button');
+        card.className = 'map-card';
+        card.classList.toggle('inactive', map.isInactive);
+        card.classList.toggle('current', map.fileName === currentMapFileName);
+        card.title = map.fileName;
+
+        const thumbnail = document.createElement('img');
+        thumbnail.loading = 'lazy';
+        thumbnail.alt = '';
+        thumbnail.src = map.thumbnail;
+        thumbnail.addEventListener('error', () => thumbnail.classList.add('missing'));
+
+        const name = document.createElement('span');
+        name.className = 'map-card-name';
+        name.textContent = (map.isInactive ? "[INACTIVE] " : "") + map.name;
+
+        const details = document.createElement('span');
+        details.className = 'map-card-details';
+        const players = map.playersMax ? `${map.playersMin}-${map.playersMax} players` : 'players unknown';
+        details.textContent = `${map.width}x${map.height} · ${players} · ${map.hasWater ? 'water' : 'land'}`;
+
+        card.append(thumbnail, name, details);
+        card.addEventListener('click', () => selectMap(map.fileName));
+        return card;
+    }
+
+    function renderMapBrowser() {
+        if (!mapData) return;
+        const matches = filterMaps(mapData, {
+            search: document.getElementById('map-search').value,
+            status: document.getElementById('map-status-filter').value,
+            size: document.getElementById('map-size-filter').value,
+            players: document.getElementById('map-players-filter').value,
+            terrain: document.getElementById('map-terrain-filter').value,
+            sort: document.getElementById('map-sort').value
+        });
+        mapBrowserList.replaceChildren(...matches.map(createMapCard));
+        document.getElementById('map-result-count').textContent = `${matches.length} of ${mapData.length} maps`;
+    }
+
+    // --- SHAREABLE VIEW STATE ---
+    // Everything needed to reproduce the view lives in the URL, e.g.
+    // ?map=name&m=a_300_2*b_100_0.5&w=1_120&cam=2048_4000_10240_4096_0_4096
+    //   m:   mutators separated by '*', each as the type code followed by its
+    //        parameters in declaration order (see MUTATOR_TYPES); disabled ones start with '~'
+    //   w:   water visible (1/0) and height, then 1 if mutator thresholds are locked to absolute heights
+    //   cam: camera position x/y/z followed by the orbit target x/y/z
+    const initialViewState = decodeViewState(urlParams);
+    let urlUpdateTimer;
+
+    function formatUrlNumber(value) {
+        return String(parseFloat(value.toFixed(2)));
+    }
+
+    function encodeViewState(mapName, includeCamera = true) {
+        const params = new URLSearchParams();
+        params.set('map', mapName);
+        if (mutatorChain.length) {
+            params.set('m', mutatorChain
+                .map(m => {
+                    const type = MUTATOR_TYPES[m.type];
+                    const code = m.enabled ? type.code : `~${type.code}`;
+                    return [code, ...type.params.map(param => formatUrlNumber(m.params[param.key]))].join('_');
+                })
+                .join('*'));
+        }
+        params.set('w', `${waterPlane.visible ? 1 : 0}_${formatUrlNumber(waterPlane.position.y)}${thresholdsLocked ? '_1' : ''}`);
+        if (includeCamera && terrainMesh) {
+            params.set('cam', [...camera.position.toArray(), ...orbitControls.target.toArray()]
+                .map(v => Math.round(v))
+                .join('_'));
+        }
+        return params.toString();
+    }
+
+    /**
+     * Reads the view state written by encodeViewState. Malformed parts are ignored.
+     */
+    function decodeViewState(params) {
+        const state = {};
+        const typesByCode = Object.fromEntries(Object.entries(MUTATOR_TYPES).map(([type, { code }]) => [code, type]));
+
+        if (params.has('m')) {
+            state.mutators = params.get('m').split('*')
+                .map(entry => {
+                    const [code, ...values] = entry.split('_');
+                    const enabled = !code.startsWith('~');
+                    const type = typesByCode[enabled ? code : code.slice(1)];
+                    if (!type) return null;
+                    // Parameters are positional; missing ones fall back to their defaults later
+                    const mutatorParams = {};
+                    MUTATOR_TYPES[type].params.forEach((param, i) => {
+                        mutatorParams[param.key] = values[i];
+                    });
+                    return { type, params: mutatorParams, enabled };
+                })
+                .filter(Boolean);
+        }
+        if (params.has('w')) {
+            const [visible, height, locked] = params.get('w').split('_');
+            if (Number.isFinite(parseFloat(height))) {
+                state.water = { visible: visible !== '0', height: parseFloat(height), locked: locked === '1' };
+            }
+        }
+        if (params.has('cam')) {
+            const values = params.get('cam').split('_').map(parseFloat);
+            if (values.length === 6 && values.every(Number.isFinite)) {
+                state.camera = { position: values.slice(0, 3), target: values.slice(3) };
+            }
         }
+        return state;
+    }
+
+    // Debounced so that dragging a slider or the camera doesn't flood the history
+    function scheduleUrlUpdate() {
+        clearTimeout(urlUpdateTimer);
+        urlUpdateTimer = setTimeout(() => {
+            // A local file can't be shared by link; keep the last shareable view rather than pair
+            // its settings with the previously loaded map
+            if (mapMetadata.isLocal) return;
+            history.replaceState(null, '', `?${encodeViewState(currentMapFileName)}`);
+        }, 300);
     }
 
     // --- MAIN INITIALIZATION ---
     async function initialize() {
         try {
-            console.log("Step 1: Loading metadata...");
-            await loadMapMetadata();
-
-            console.log("Step 2: Initializing 3D Scene...");
+            console.log("Step 1: Initializing 3D Scene...");
             initThreeJsScene();
+            createWaterPlane();
+            mutatorWorker = createMutatorWorker();
 
-            console.log("Step 3: Creating 3D terrain...");
-            await createTerrain();
-            createWaterPlane(); // <<< NEW: Call this after creating the terrain
-
-            //console.log("Step 4: Loading icons and replay data...");
-            //await loadReplayData();
-
-            console.log("Step 4: Initializing UI...");
-            initializeUI();
+            console.log("Step 2: Initializing UI...");
+            initializeReplayControls();
             initializeMapControls();
+            initializeCameraControls();
+            initializeMapInfoControls();
+            initializeLocalMapControls();
             initializeMutatorControls();
+            initializePresetControls();
             initializeWaterControls();
+            initializeSculptControls();
+            initializeMeasureControls();
+            initializeOverlayControls();
+            initializeAnalysisControls();
+            initializeContourControls();
+            initializeExportControls();
+            initializeImageExportControls();
 
             // addTestBoxes();
 
@@ -135,580 +398,4100 @@ document.addEventListener('DOMContentLoaded', () => {
         } catch (error) {
             console.error("A fatal error occurred during initialization:", error);
             document.body.innerHTML = `<h1>Fatal Error</h1><p>${error.message}</p>`;
+            return;
         }
+
+        // A map that fails to download is not fatal: a local map file can still be opened.
+        // The list goes first, as its record has the map's texture layers and backs up its metadata.
+        console.log("Step 3: Loading map...");
+        await mapListLoad;
+        await switchMap(currentMapFileName);
     }
 
     // --- DATA LOADING & SETUP ---
-    async function loadMapMetadata() {
-        const response = await fetch(MAP_API_URL);
-        if (!response.ok) throw new Error(`Could not fetch map metadata`);
-        mapMetadata = await response.json();
+    // Maps are switched in place. Everything is downloaded before any state is touched, so a
+    // load that is cancelled (or superseded by picking another map) leaves the current map as is.
+    let mapLoadController = null;
+    let mapDataSources = []; // assetCache sources of the current map's metadata and heightmap, see reloadMapTexture
+
+    function cancelMapLoad() {
+        mapLoadController?.abort();
+        mapLoadController = null;
+        setMapLoading(null);
+    }
+
+    function setMapLoading(fileName) {
+        const indicator = document.getElementById('map-loading');
+        indicator.hidden = !fileName;
+        document.getElementById('map-loading-name').textContent = fileName || '';
+    }
+
+    const TEXTURE_QUALITY_STORAGE_KEY = 'bar3dMapViewer.textureQuality';
+    const FLAT_GROUND_LIFT = 10; // Height above the water of the ground shown when a heightmap is missing
+    let textureLoadVersion = 0; // Bumped by every texture load, so only the latest one is applied
+    let textureOptions = TEXTURE_OPTIONS; // The options for the current map, see getTextureOptions
+
+    function loadTextureQuality() {
+        try {
+            const quality = localStorage.getItem(TEXTURE_QUALITY_STORAGE_KEY);
+            return TEXTURE_OPTIONS[quality] || TEXTURE_LAYERS[quality] ? quality : 'mq';
+        } catch (error) {
+            console.warn("Could not read the saved texture quality:", error);
+            return 'mq';
+        }
+    }
+
+    function storeTextureQuality(quality) {
+        try {
+            localStorage.setItem(TEXTURE_QUALITY_STORAGE_KEY, quality);
+        } catch (error) {
+            console.warn("Could not save the texture quality:", error);
+        }
+    }
+
+    // The saved choice if the map offers it, else the medium texture
+    function pickTextureQuality(options) {
+        const saved = loadTextureQuality();
+        return options[saved] ? saved : 'mq';
+    }
+
+    /**
+     * Fills the texture selector with a map's options, selecting `quality`.
+     */
+    function showTextureOptions(options, quality) {
+        textureOptions = options;
+        const qualitySelector = document.getElementById('texture-quality');
+        qualitySelector.replaceChildren(...Object.entries(options).map(([key, { label }]) => new Option(label, key)));
+        qualitySelector.value = quality;
+    }
+
+    async function loadTextureFromBlob(blob) {
+        const objectUrl = URL.createObjectURL(blob);
+        try {
+            return await new THREE.TextureLoader().loadAsync(objectUrl);
+        } finally {
+            URL.revokeObjectURL(objectUrl);
+        }
+    }
+
+    // The name of the texture option that a file is the first choice of, for warnings
+    function describeTextureFile(file, options = textureOptions) {
+        const option = Object.values(options).find(option => option.files[0] === file);
+        return option ? option.name : file;
+    }
+
+    /**
+     * Loads the first file of a texture option that can be loaded. Resolves to { texture, source, warning },
+     * with a warning when it had to fall back, or to null when none of the files loaded.
+     */
+    async function fetchMapTexture(mapUrl, quality, signal, options = textureOptions) {
+        const { files } = options[quality];
+        for (const file of files) {
+            try {
+                const { blob, source } = await assetCache.fetch(`${mapUrl}/${file}`, { signal, maxAge: MAP_ASSET_MAX_AGE });
+                const texture = await loadTextureFromBlob(blob);
+                const warning = file === files[0] ? null
+                    : `The ${describeTextureFile(files[0], options)} is not available, showing the ${describeTextureFile(file, options)}.`;
+                return { texture, source, warning };
+            } catch (error) {
+                if (signal?.aborted) throw error;
+                console.warn(`Could not load ${file}:`, error);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Downloads a map's metadata, texture and heightmap from the API, or takes them from the cache.
+     * Each asset falls back on its own: the metadata to the map list's record, the texture through
+     * TEXTURE_OPTIONS to the grayscale heightmap, and the heightmap to flat ground. Resolves to the
+     * assets, their combined assetCache source, the sources of the assets other than the texture,
+     * the map's texture options with the one loaded, and warnings describing any fallbacks.
+     */
+    async function fetchMapAssets(fileName, signal) {
+        const mapUrl = `${MAP_API_BASE_URL}/${fileName}`;
+        const sources = [];
+        const warnings = [];
+        const fetchAsset = async (url, read) => {
+            try {
+                const { blob, source } = await assetCache.fetch(url, { signal, maxAge: MAP_ASSET_MAX_AGE });
+                const value = await read(blob);
+                sources.push(source);
+                return value;
+            } catch (error) {
+                if (signal?.aborted) throw error;
+                console.warn(`Could not load ${url}:`, error);
+                return null;
+            }
+        };
+
+        const record = mapData?.find(map => map.fileName === fileName)?.record;
+        const options = getTextureOptions(record);
+        const quality = pickTextureQuality(options);
+        let [metadata, heightmap, textureResult] = await Promise.all([
+            fetchAsset(mapUrl, async blob => JSON.parse(await blob.text())),
+            fetchAsset(`${mapUrl}/height.png`, async blob => decodeHeightmapImage(await blob.arrayBuffer(), 'image/png')),
+            fetchMapTexture(mapUrl, quality, signal, options)
+        ]);
+
+        if (!metadata) {
+            metadata = record;
+            if (!metadata) throw new Error('Could not fetch the map details');
+            warnings.push('The map details could not be loaded, using those from the map list.');
+        }
+        if (!heightmap && !textureResult) throw new Error('Could not fetch the heightmap or any texture');
+        if (!heightmap) {
+            // Just above the current water, so the ground doesn't load submerged
+            const width = metadata.width * SQUARES_PER_MAP_UNIT + 1;
+            const height = metadata.height * SQUARES_PER_MAP_UNIT + 1;
+            const ground = Math.ceil(mapHeightToPixel(getWaterLevel() + FLAT_GROUND_LIFT, 65535, metadata.minDepth, metadata.maxDepth));
+            heightmap = { width, height, data: new Uint16Array(width * height).fill(ground), maxValue: 65535 };
+            warnings.push('The heightmap could not be loaded, showing the map on flat ground.');
+        }
+
+        const dataSources = [...sources];
+        let colorTexture;
+        if (textureResult) {
+            colorTexture = textureResult.texture;
+            sources.push(textureResult.source);
+            if (textureResult.warning) warnings.push(textureResult.warning);
+        } else {
+            colorTexture = new THREE.CanvasTexture(heightsToCanvas(heightmap));
+            warnings.push('No texture could be loaded, showing the heightmap in gray.');
+        }
+
+        return {
+            metadata, colorTexture, heightmap, source: combineSources(sources), dataSources,
+            textureOptions: options, textureQuality: quality, warnings
+        };
+    }
+
+    /**
+     * Reloads the current API map's texture at the chosen quality, keeping everything else.
+     */
+    async function reloadMapTexture() {
+        if (!terrainMesh || mapMetadata.isLocal) return;
+        const version = ++textureLoadVersion;
+        const fileName = currentMapFileName;
+        const quality = document.getElementById('texture-quality').value;
+        const result = await fetchMapTexture(`${MAP_API_BASE_URL}/${fileName}`, quality);
+
+        // Drop the texture if the map or the quality changed while it loaded
+        if (version !== textureLoadVersion || fileName !== currentMapFileName || !terrainMesh) {
+            result?.texture.dispose();
+            return;
+        }
+        if (!result) {
+            showAssetWarnings([`The ${textureOptions[quality].name} could not be loaded, keeping the current texture.`]);
+            return;
+        }
+        setTerrainTexture(result.texture);
+        setMapCacheStatus(combineSources([...mapDataSources, result.source]));
+        showAssetWarnings(result.warning ? [result.warning] : []);
+    }
+
+    /**
+     * Shows what could not be loaded in a banner over the view, or hides it when there is nothing to report.
+     */
+    function showAssetWarnings(warnings) {
+        const banner = document.getElementById('asset-warning');
+        const list = document.getElementById('asset-warning-list');
+        list.replaceChildren(...warnings.map(warning => {
+            const item = document.createElement('li');
+            item.textContent = warning;
+            return item;
+        }));
+        banner.hidden = !warnings.length;
+    }
+
+    // Marks a map that was opened from the cache rather than downloaded
+    function setMapCacheStatus(source) {
+        const status = document.getElementById('map-cache-status');
+        status.hidden = source !== 'cache' && source !== 'offline';
+        status.textContent = source === 'offline' ? 'Offline copy' : 'Cached';
+        status.classList.toggle('offline', source === 'offline');
+        status.title = source === 'offline'
+            ? 'The server could not be reached, so this is the copy saved when the map was last viewed'
+            : 'Opened from the saved copy of this map';
+    }
+
+    async function updateCacheUsage() {
+        const { count, bytes } = await assetCache.usage();
+        document.getElementById('cache-usage').textContent = count
+            ? `Cache: ${count} files, ${(bytes / 1024 / 1024).toFixed(1)} MB`
+            : 'Cache: empty';
+    }
+
+    /**
+     * Replaces the current map with one from the API without reloading the page.
+     * Starting another switch (or opening a local map) cancels a switch that is still loading.
+     */
+    async function switchMap(fileName) {
+        mapLoadController?.abort();
+        const controller = mapLoadController = new AbortController();
+        setMapLoading(fileName);
+        setMapStatus('');
+
+        try {
+            const assets = await fetchMapAssets(fileName, controller.signal);
+            const { metadata, colorTexture, heightmap, source, dataSources, warnings } = assets;
+            if (controller.signal.aborted) {
+                colorTexture.dispose();
+                return;
+            }
+
+            currentMapFileName = fileName;
+            applyMapMetadata(metadata);
+            buildTerrain(colorTexture, heightmap);
+            if (!document.getElementById('keep-mutators-toggle').checked && mutatorChain.length) {
+                setMutatorChain([]);
+            }
+            finishMapLoad();
+            showTextureOptions(assets.textureOptions, assets.textureQuality);
+            mapDataSources = dataSources;
+            setMapCacheStatus(source);
+            showAssetWarnings(warnings);
+            updateCacheUsage();
+            scheduleUrlUpdate();
+        } catch (error) {
+            if (controller.signal.aborted) return;
+            console.error("Could not load map from the API:", error);
+            setMapStatus(`Could not load ${fileName}: ${error.message}. You can still open a local map file.`, true);
+        } finally {
+            if (mapLoadController === controller) {
+                mapLoadController = null;
+                setMapLoading(null);
+            }
+        }
+    }
+
+    /**
+     * Makes the given metadata record the current map and derives the map dimensions from it.
+     * Local maps build a record with the same fields as the API.
+     */
+    function applyMapMetadata(metadata) {
+        mapMetadata = metadata;
         MIN_MAP_HEIGHT = mapMetadata.minDepth;
         MAX_MAP_HEIGHT = mapMetadata.maxDepth;
         mapWidthWorld = mapMetadata.width * 512;
         mapHeightWorld = mapMetadata.height * 512;
     }
 
-    // async function loadReplayData() {
-    //     const response = await fetch(REPLAY_DATA_URL);
-    //     if (!response.ok) throw new Error(`Could not fetch ${REPLAY_DATA_URL}`);
-    //     const csvData = await response.text();
-    //     const rows = csvData.trim().split('\n');
-    //     const headers = rows.shift().trim().split(',');
-    //     const col = headers.reduce((acc, val, i) => ({ ...acc, [val]: i }), {});
-
-    //     // Make sure the 'y' column exists
-    //     if (!('y' in col)) {
-    //         throw new Error("CSV file is missing the required 'y' column for height data.");
-    //     }
+    /**
+     * Parses a unit_positions.csv export into per-unit timelines.
+     * Expected columns: unit_id, uDefName, team_id, frame, x, y, z.
+     */
+    function parseReplayCsv(csvData) {
+        const rows = csvData.trim().split(/\r?\n/);
+        const headers = rows.shift().trim().split(',').map(h => h.trim());
+        const col = headers.reduce((acc, val, i) => ({ ...acc, [val]: i }), {});
 
-    //     rows.forEach(row => {
-    //         const values = row.trim().split(',');
-    //         if (values.length < headers.length) return;
-    //         const unit_id = values[col.unit_id];
-    //         const uDefName = values[col.uDefName];
-    //         if (!unitDefinitions[uDefName]) return;
-
-    //         if (!unitTimelines[unit_id]) {
-    //             unitTimelines[unit_id] = { data: [], uDefName, team_id: values[col.team_id] };
-    //         }
-    //         const frame = parseInt(values[col.frame], 10);
-    //         unitTimelines[unit_id].data.push({
-    //             frame,
-    //             x: parseFloat(values[col.x]),
-    //             y: parseFloat(values[col.y]) - 100,
-    //             z: parseFloat(values[col.z])
-    //         });
-    //         minFrame = Math.min(minFrame, frame);
-    //         maxFrame = Math.max(maxFrame, frame);
-    //     });
-
-    //     for (const unitId in unitTimelines) {
-    //         unitTimelines[unitId].data.sort((a, b) => a.frame - b.frame);
-    //     }
-    // }
+        for (const required of ['unit_id', 'team_id', 'frame', 'x', 'y', 'z']) {
+            if (!(required in col)) {
+                throw new Error(`CSV file is missing the required '${required}' column.`);
+            }
+        }
 
-    // --- 3D SCENE SETUP ---
-    function initThreeJsScene() {
-        scene = new THREE.Scene();
-        scene.background = new THREE.Color(0x333744);
+        const timelines = {};
+        let first = Infinity, last = -Infinity;
+        rows.forEach(row => {
+            const values = row.trim().split(',');
+            if (values.length < headers.length) return;
+            const unit_id = values[col.unit_id];
+            const frame = parseInt(values[col.frame], 10);
+            if (Number.isNaN(frame)) return;
 
-        imageWidth = 1024;
-        imageHeight = 1024;
+            if (!timelines[unit_id]) {
+                timelines[unit_id] = {
+                    data: [],
+                    uDefName: 'uDefName' in col ? values[col.uDefName] : '',
+                    team_id: values[col.team_id].trim()
+                };
+            }
+            timelines[unit_id].data.push({
+                frame,
+                x: parseFloat(values[col.x]),
+                y: parseFloat(values[col.y]),
+                z: parseFloat(values[col.z])
+            });
+            first = Math.min(first, frame);
+            last = Math.max(last, frame);
+        });
 
-        camera = new THREE.PerspectiveCamera(75, imageWidth / imageHeight, 10, 20000);
-        camera.position.set(mapWidthWorld * 0.25, 4000, mapHeightWorld * 1.25);
+        // Timelines must be sorted for the binary search in getInterpolatedPosition
+        for (const unitId in timelines) {
+            timelines[unitId].data.sort((a, b) => a.frame - b.frame);
+        }
+        return { timelines, first, last };
+    }
 
-        renderer = new THREE.WebGLRenderer({ antialias: true });
-        canvasContainer.appendChild(renderer.domElement);
+    // --- LOCAL MAP FILES ---
+    const SMF_MAGIC = 'spring map file';
+    const SMF_MINIMAP_SIZE = 1024; // SMF minimaps are always 1024x1024 DXT1
+    const SQUARES_PER_MAP_UNIT = 64; // One map unit is 512 elmos, or 64 heightmap squares of 8 elmos
 
-        orbitControls = new OrbitControls(camera, renderer.domElement);
-        orbitControls.target.set(mapWidthWorld / 2, 0, mapHeightWorld / 2);
-        orbitControls.enableDamping = true;
-        orbitControls.dampingFactor = 0.1;
+    /**
+     * Parses the header, heightmap and minimap of a Spring map file (.smf).
+     * The heightmap is (mapx + 1) * (mapy + 1) little-endian uint16 values.
+     */
+    function parseSmf(buffer) {
+        const view = new DataView(buffer);
+        const magic = new TextDecoder().decode(new Uint8Array(buffer, 0, 16));
+        if (!magic.startsWith(SMF_MAGIC)) throw new Error('Not a Spring map file (.smf)');
 
-        const ambientLight = new THREE.AmbientLight(0xffffff, 0.7);
-        scene.add(ambientLight);
-        const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
-        directionalLight.position.set(-1, 2, 1).normalize();
-        scene.add(directionalLight);
-    }
+        const header = {
+            version: view.getInt32(16, true),
+            mapX: view.getInt32(24, true),
+            mapY: view.getInt32(28, true),
+            squareSize: view.getInt32(32, true),
+            minHeight: view.getFloat32(44, true),
+            maxHeight: view.getFloat32(48, true),
+            heightmapPtr: view.getInt32(52, true),
+            minimapPtr: view.getInt32(64, true)
+        };
 
-    // // --- Replace your createTerrain function with this corrected version ---
-    // async function createTerrain() {
-    //     const textureUrl = `${MAP_API_URL}/texture-mq.jpg`;
-    //     const heightmapUrl = `${MAP_API_URL}/height.png`;
+        const heightmapWidth = header.mapX + 1;
+        const heightmapHeight = header.mapY + 1;
+        const minimapLength = SMF_MINIMAP_SIZE * SMF_MINIMAP_SIZE / 2;
+        if (header.heightmapPtr + heightmapWidth * heightmapHeight * 2 > buffer.byteLength ||
+            header.minimapPtr + minimapLength > buffer.byteLength) {
+            throw new Error('The .smf file is truncated');
+        }
 
-    //     const textureLoader = new THREE.TextureLoader();
-    //     const [colorTexture, heightmapTexture] = await Promise.all([
-    //         textureLoader.loadAsync(textureUrl),
-    //         textureLoader.loadAsync(heightmapUrl),
-    //     ]);
+        const heights = new Uint16Array(heightmapWidth * heightmapHeight);
+        for (let i = 0; i < heights.length; i++) {
+            heights[i] = view.getUint16(header.heightmapPtr + i * 2, true);
+        }
+        const minimap = new Uint8Array(buffer, header.minimapPtr, minimapLength);
 
-    //     imageWidth = colorTexture.image.width;
-    //     imageHeight = colorTexture.image.height;
-    //     renderer.setSize(imageWidth, imageHeight);
-    //     controlsDiv.style.width = `${imageWidth}px`;
-    //     camera.aspect = imageWidth / imageHeight;
-    //     camera.updateProjectionMatrix();
+        return { header, heightmapWidth, heightmapHeight, heights, minimap };
+    }
 
-    //     // Get heightmap data into a pixel array
-    //     const hmWidth = heightmapTexture.image.width;
-    //     const hmHeight = heightmapTexture.image.height;
-    //     const canvas = document.createElement('canvas');
-    //     canvas.width = hmWidth;
-    //     canvas.height = hmHeight;
-    //     const ctx = canvas.getContext('2d', { willReadFrequently: true });
-    //     ctx.drawImage(heightmapTexture.image, 0, 0);
-    //     const pixelData = ctx.getImageData(0, 0, hmWidth, hmHeight).data;
+    /**
+     * Decodes a DXT1 (BC1) compressed image into a canvas.
+     */
+    function decodeDxt1(bytes, width, height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        const imageData = ctx.createImageData(width, height);
+        const pixels = imageData.data;
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const palette = new Uint8Array(16);
 
-    //     const geometry = new THREE.PlaneGeometry(mapWidthWorld, mapHeightWorld, 255, 255);
+        const unpack565 = (color, out, offset) => {
+            out[offset] = ((color >> 11) & 31) * 255 / 31;
+            out[offset + 1] = ((color >> 5) & 63) * 255 / 63;
+            out[offset + 2] = (color & 31) * 255 / 31;
+            out[offset + 3] = 255;
+        };
 
-    //     const positions = geometry.attributes.position.array;
-    //     const uvs = geometry.attributes.uv.array;
-    //     baseHeightData = []; // Reset the array
+        let blockOffset = 0;
+        for (let by = 0; by < height; by += 4) {
+            for (let bx = 0; bx < width; bx += 4) {
+                const c0 = view.getUint16(blockOffset, true);
+                const c1 = view.getUint16(blockOffset + 2, true);
+                const bits = view.getUint32(blockOffset + 4, true);
+                blockOffset += 8;
 
-    //     // Step 1: Get height for every vertex and store it
-    //     for (let i = 0; i < positions.length / 3; i++) {
-    //         const u = uvs[i * 2];
-    //         const v = uvs[i * 2 + 1];
+                unpack565(c0, palette, 0);
+                unpack565(c1, palette, 4);
+                for (let c = 0; c < 3; c++) {
+                    if (c0 > c1) {
+                        palette[8 + c] = (2 * palette[c] + palette[4 + c]) / 3;
+                        palette[12 + c] = (palette[c] + 2 * palette[4 + c]) / 3;
+                    } else {
+                        palette[8 + c] = (palette[c] + palette[4 + c]) / 2;
+                        palette[12 + c] = 0;
+                    }
+                }
+                palette[11] = palette[15] = 255;
 
-    //         // This mapping is now correct. The (1 - v) inverts the V coordinate
-    //         // to match the image's top-to-bottom pixel order.
-    //         const imgX = Math.floor(u * (hmWidth - 1));
-    //         const imgY = Math.floor((1 - v) * (hmHeight - 1));
+                for (let i = 0; i < 16; i++) {
+                    const index = (bits >> (i * 2)) & 3;
+                    const px = ((by + (i >> 2)) * width + bx + (i & 3)) * 4;
+                    pixels[px] = palette[index * 4];
+                    pixels[px + 1] = palette[index * 4 + 1];
+                    pixels[px + 2] = palette[index * 4 + 2];
+                    pixels[px + 3] = 255;
+                }
+            }
+        }
 
-    //         const pixelIndex = (imgY * hmWidth + imgX) * 4;
-    //         const grayscale = pixelData[pixelIndex] / 255.0;
-    //         const height = grayscale * 800;
+        ctx.putImageData(imageData, 0, 0);
+        return canvas;
+    }
 
-    //         positions[i * 3 + 1] = height; // Apply the height to the 3D model
-    //         baseHeightData.push(height);   // Store the original height in our array
-    //     }
+    /**
+     * Draws a decoded heightmap into a grayscale canvas, e.g. to stand in for a missing texture.
+     */
+    function heightsToCanvas(heightmap) {
+        const canvas = document.createElement('canvas');
+        canvas.width = heightmap.width;
+        canvas.height = heightmap.height;
+        const ctx = canvas.getContext('2d');
+        const imageData = ctx.createImageData(heightmap.width, heightmap.height);
+        for (let i = 0; i < heightmap.data.length; i++) {
+            const pixelValue = Math.round(heightmap.data[i] / heightmap.maxValue * 255);
+            imageData.data[i * 4] = imageData.data[i * 4 + 1] = imageData.data[i * 4 + 2] = pixelValue;
+            imageData.data[i * 4 + 3] = 255;
+        }
+        ctx.putImageData(imageData, 0, 0);
+        return canvas;
+    }
 
-    //     const material = new THREE.MeshStandardMaterial({ map: colorTexture });
+    /**
+     * Extracts the first file whose path matches `pattern` from a zip archive such as an .sdz map.
+     * Returns null if there is no such file.
+     */
+    async function extractFromZip(buffer, pattern) {
+        const view = new DataView(buffer);
 
-    //     terrainMesh = new THREE.Mesh(geometry, material);
-    //     terrainMesh.rotation.x = -Math.PI / 2;
-    //     terrainMesh.position.set(mapWidthWorld / 2, 0, mapHeightWorld / 2);
-    //     scene.add(terrainMesh);
+        // The end-of-central-directory record sits at the end, possibly followed by a comment
+        let eocd = -1;
+        for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 22 - 0xffff); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                eocd = i;
+                break;
+            }
+        }
+        if (eocd < 0) throw new Error('Not a zip archive');
 
-    //     // After manually changing vertices, we must re-calculate normals for correct lighting
-    //     terrainMesh.geometry.computeVertexNormals();
-    // }
+        const decoder = new TextDecoder();
+        const entryCount = view.getUint16(eocd + 10, true);
+        let offset = view.getUint32(eocd + 16, true);
+        for (let n = 0; n < entryCount; n++) {
+            if (view.getUint32(offset, true) !== 0x02014b50) throw new Error('Corrupt zip central directory');
+            const method = view.getUint16(offset + 10, true);
+            const compressedSize = view.getUint32(offset + 20, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const localOffset = view.getUint32(offset + 42, true);
+            const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
 
-    async function createTerrain() {
-        const textureUrl = `${MAP_API_URL}/texture-mq.jpg`;
-        const heightmapUrl = `${MAP_API_URL}/height.png`;
+            if (pattern.test(name)) {
+                const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+                const data = new Uint8Array(buffer, dataStart, compressedSize);
+                if (method === 0) return { name, buffer: data.slice().buffer };
+                if (method === 8) return { name, buffer: await inflate(data, 'deflate-raw') };
+                throw new Error(`Unsupported zip compression method ${method}`);
+            }
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+        return null;
+    }
 
-        const textureLoader = new THREE.TextureLoader();
-        const [colorTexture, heightmapTexture] = await Promise.all([
-            textureLoader.loadAsync(textureUrl),
-            textureLoader.loadAsync(heightmapUrl),
-        ]);
+    /**
+     * Decodes a heightmap image at full precision when possible, and otherwise
+     * falls back to the browser's 8-bit decoding (red channel).
+     */
+    async function decodeHeightmapImage(buffer, mimeType) {
+        try {
+            return await decodePngHeightmap(buffer);
+        } catch (error) {
+            const bitmap = await createImageBitmap(new Blob([buffer], { type: mimeType }));
+            const canvas = document.createElement('canvas');
+            canvas.width = bitmap.width;
+            canvas.height = bitmap.height;
+            const ctx = canvas.getContext('2d', { willReadFrequently: true });
+            ctx.drawImage(bitmap, 0, 0);
+            bitmap.close();
+
+            const pixels = ctx.getImageData(0, 0, canvas.width, canvas.height).data;
+            const data = new Uint8Array(canvas.width * canvas.height);
+            for (let i = 0; i < data.length; i++) data[i] = pixels[i * 4];
+            return { width: canvas.width, height: canvas.height, data, maxValue: 255 };
+        }
+    }
+
+    // --- HEIGHTMAP EXPORT ---
+    function downloadBlob(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    // Spring heightmaps are 64 * size + 1 pixels wide; anything else is scaled to the nearest size.
+    function guessMapSize(heightmapPixels) {
+        if ((heightmapPixels - 1) % SQUARES_PER_MAP_UNIT === 0) return (heightmapPixels - 1) / SQUARES_PER_MAP_UNIT;
+        return Math.max(1, Math.round(heightmapPixels / SQUARES_PER_MAP_UNIT));
+    }
+
+    function stripExtension(fileName) {
+        return fileName.split('/').pop().replace(/\.[^.]+$/, '');
+    }
+
+    /**
+     * Builds the terrain from the contents of an .smf file, using its minimap as the texture.
+     */
+    function loadSmfMap(buffer, name) {
+        cancelMapLoad();
+        const smf = parseSmf(buffer);
+        applyMapMetadata({
+            name,
+            fileName: name,
+            width: smf.header.mapX / SQUARES_PER_MAP_UNIT,
+            height: smf.header.mapY / SQUARES_PER_MAP_UNIT,
+            minDepth: smf.header.minHeight,
+            maxDepth: smf.header.maxHeight,
+            isLocal: true
+        });
+
+        const colorTexture = new THREE.CanvasTexture(decodeDxt1(smf.minimap, SMF_MINIMAP_SIZE, SMF_MINIMAP_SIZE));
+        buildTerrain(colorTexture, {
+            width: smf.heightmapWidth,
+            height: smf.heightmapHeight,
+            data: smf.heights,
+            maxValue: 65535
+        });
+        finishMapLoad();
+    }
+
+    /**
+     * Builds the terrain from a loose heightmap image and an optional texture image.
+     * Without a texture the heightmap itself is used as a grayscale texture.
+     */
+    async function loadHeightmapPair(heightmapFile, textureFile, { minHeight, maxHeight, width, height }) {
+        cancelMapLoad();
+        const heightmap = await decodeHeightmapImage(await heightmapFile.arrayBuffer(), heightmapFile.type);
+
+        let colorTexture;
+        if (textureFile) {
+            const url = URL.createObjectURL(textureFile);
+            try {
+                colorTexture = await new THREE.TextureLoader().loadAsync(url);
+            } finally {
+                URL.revokeObjectURL(url);
+            }
+        } else {
+            colorTexture = new THREE.CanvasTexture(heightsToCanvas(heightmap));
+        }
+
+        const name = stripExtension(heightmapFile.name);
+        applyMapMetadata({ name, fileName: name, width, height, minDepth: minHeight, maxDepth: maxHeight, isLocal: true });
+        buildTerrain(colorTexture, heightmap);
+        finishMapLoad();
+    }
+
+    /**
+     * Collects the files of a drop event, descending into dropped folders (e.g. an extracted .sd7).
+     * Must be called synchronously from the drop handler.
+     */
+    async function getDroppedFiles(dataTransfer) {
+        const entries = Array.from(dataTransfer.items || [])
+            .map(item => item.webkitGetAsEntry?.())
+            .filter(Boolean);
+        if (!entries.length) return Array.from(dataTransfer.files);
+
+        const files = [];
+        async function walk(entry) {
+            if (entry.isFile) {
+                files.push(await new Promise((resolve, reject) => entry.file(resolve, reject)));
+            } else if (entry.isDirectory) {
+                const reader = entry.createReader();
+                // readEntries returns the directory in batches, ending with an empty one
+                let batch;
+                do {
+                    batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                    for (const child of batch) await walk(child);
+                } while (batch.length);
+            }
+        }
+        for (const entry of entries) await walk(entry);
+        return files;
+    }
+
+    // --- IMAGE EXPORT ---
+    const TURNTABLE_FPS = 24;
+
+    /**
+     * Packs files ([{ name, blob }]) into an uncompressed zip. PNG frames are already
+     * compressed, so storing them keeps the archive fast to build.
+     */
+    async function createStoredZip(files) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        const directory = [];
+        let offset = 0;
+
+        for (const file of files) {
+            const name = encoder.encode(file.name);
+            const crc = crc32(new Uint8Array(await file.blob.arrayBuffer()));
+            const size = file.blob.size;
+
+            const local = new Uint8Array(30 + name.length);
+            const localView = new DataView(local.buffer);
+            localView.setUint32(0, 0x04034b50, true);
+            localView.setUint16(4, 20, true); // Version needed
+            localView.setUint16(12, 0x21, true); // 1980-01-01, as zips have no date before
+            localView.setUint32(14, crc, true);
+            localView.setUint32(18, size, true);
+            localView.setUint32(22, size, true);
+            localView.setUint16(26, name.length, true);
+            local.set(name, 30);
+            parts.push(local, file.blob);
+
+            const entry = new Uint8Array(46 + name.length);
+            const entryView = new DataView(entry.buffer);
+            entryView.setUint32(0, 0x02014b50, true);
+            entryView.setUint16(4, 20, true); // Version made by
+            entryView.setUint16(6, 20, true); // Version needed
+            entryView.setUint16(14, 0x21, true);
+            entryView.setUint32(16, crc, true);
+            entryView.setUint32(20, size, true);
+            entryView.setUint32(24, size, true);
+            entryView.setUint16(28, name.length, true);
+            entryView.setUint32(42, offset, true);
+            entry.set(name, 46);
+            directory.push(entry);
+
+            offset += local.length + size;
+        }
+
+        const directorySize = directory.reduce((sum, entry) => sum + entry.length, 0);
+        const end = new Uint8Array(22);
+        const endView = new DataView(end.buffer);
+        endView.setUint32(0, 0x06054b50, true);
+        endView.setUint16(8, files.length, true);
+        endView.setUint16(10, files.length, true);
+        endView.setUint32(12, directorySize, true);
+        endView.setUint32(16, offset, true);
+
+        return new Blob([...parts, ...directory, end], { type: 'application/zip' });
+    }
+
+    function canvasToPngBlob(canvas) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not encode the image')), 'image/png');
+        });
+    }
+
+    /**
+     * A copy of the active camera with its projection fitted to an image of the given size.
+     */
+    function createShotCamera(width, height) {
+        const shotCamera = camera.clone();
+        if (shotCamera.isOrthographicCamera) {
+            shotCamera.left = shotCamera.bottom * width / height;
+            shotCamera.right = shotCamera.top * width / height;
+        } else {
+            shotCamera.aspect = width / height;
+        }
+        shotCamera.updateProjectionMatrix();
+        return shotCamera;
+    }
+
+    /**
+     * Hides the visible ones of `objects`, skipping any not created yet, and returns a function
+     * that shows them again.
+     */
+    function hideObjects(objects) {
+        const hidden = objects.filter(object => object?.visible);
+        hidden.forEach(object => { object.visible = false; });
+        return () => hidden.forEach(object => { object.visible = true; });
+    }
+
+    /**
+     * Renders the scene from `shotCamera` at the given size and copies it into a 2D canvas.
+     * The renderer is resized for the shot, so it goes through the same tone mapping and color
+     * output as the live view. The HTML controls are not part of the scene, and the editing
+     * helpers (brush ring and ruler) are hidden.
+     */
+    function renderShot(shotCamera, width, height, target = null) {
+        const previousSize = renderer.getSize(new THREE.Vector2());
+        const showHelpers = hideObjects([brushRing, rulerLine, rulerMarkers]);
+        const canvas = target || document.createElement('canvas');
+
+        try {
+            renderer.setSize(width, height, false);
+            const gl = renderer.getContext();
+            if (gl.drawingBufferWidth !== width || gl.drawingBufferHeight !== height) {
+                throw new Error(`This browser can render at most ${gl.drawingBufferWidth}x${gl.drawingBufferHeight}`);
+            }
+            updateChunkLods(terrainChunks, shotCamera);
+            renderer.render(scene, shotCamera);
+
+            // The drawing buffer is cleared once the browser composites it, so copy it right away
+            canvas.width = width;
+            canvas.height = height;
+            canvas.getContext('2d').drawImage(renderer.domElement, 0, 0);
+        } finally {
+            renderer.setSize(previousSize.x, previousSize.y, false);
+            showHelpers();
+            renderScene();
+        }
+        return canvas;
+    }
+
+    /**
+     * Renders `frameCount` frames of the camera circling once around orbitControls.target at its
+     * current distance and height, calling `onFrame(canvas, index)` for each. The same canvas is reused.
+     */
+    async function renderTurntable(width, height, frameCount, onFrame) {
+        const shotCamera = createShotCamera(width, height);
+        const target = orbitControls.target.clone();
+        const offset = shotCamera.position.clone().sub(target);
+        const canvas = document.createElement('canvas');
+        for (let i = 0; i < frameCount; i++) {
+            const angle = i / frameCount * Math.PI * 2;
+            shotCamera.position.copy(target).add(offset.clone().applyAxisAngle(THREE.Object3D.DEFAULT_UP, angle));
+            shotCamera.lookAt(target);
+            renderShot(shotCamera, width, height, canvas);
+            await onFrame(canvas, i);
+        }
+    }
+
+    function canRecordWebm() {
+        return typeof MediaRecorder !== 'undefined' && MediaRecorder.isTypeSupported('video/webm')
+            && typeof HTMLCanvasElement.prototype.captureStream === 'function';
+    }
+
+    /**
+     * Records the turntable as a WebM video, pushing one frame per 1/TURNTABLE_FPS seconds.
+     */
+    async function recordTurntableWebm(width, height, frameCount, onProgress) {
+        const videoCanvas = document.createElement('canvas');
+        videoCanvas.width = width;
+        videoCanvas.height = height;
+        const videoContext = videoCanvas.getContext('2d');
+        const stream = videoCanvas.captureStream(0);
+        const [track] = stream.getVideoTracks();
+        const recorder = new MediaRecorder(stream, { mimeType: 'video/webm' });
+        const chunks = [];
+        recorder.addEventListener('dataavailable', event => {
+            if (event.data.size) chunks.push(event.data);
+        });
+        const stopped = new Promise(resolve => recorder.addEventListener('stop', resolve, { once: true }));
+
+        recorder.start();
+        try {
+            await renderTurntable(width, height, frameCount, async (canvas, index) => {
+                videoContext.drawImage(canvas, 0, 0);
+                track.requestFrame();
+                onProgress(index + 1);
+                await new Promise(resolve => setTimeout(resolve, 1000 / TURNTABLE_FPS));
+            });
+        } finally {
+            recorder.stop();
+            await stopped;
+            track.stop();
+        }
+        return new Blob(chunks, { type: 'video/webm' });
+    }
+
+    // --- 3D SCENE SETUP ---
+    function initThreeJsScene() {
+        scene = new THREE.Scene();
+        scene.background = new THREE.Color(0x333744);
+
+        imageWidth = 1024;
+        imageHeight = 1024;
+
+        // Near and far are adjusted every frame to the distance from the target, see updateCameraClipping
+        perspectiveCamera = new THREE.PerspectiveCamera(75, imageWidth / imageHeight, 10, 20000);
+        orthoCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 1, 20000);
+        camera = perspectiveCamera;
+
+        renderer = new THREE.WebGLRenderer({ antialias: true });
+        canvasContainer.appendChild(renderer.domElement);
+
+        const width = canvasContainer.clientWidth;
+        const height = canvasContainer.clientHeight;
+
+        renderer.setSize(width, height);
+        updateCameraProjections(width, height);
+
+        const observer = new ResizeObserver(entries => {
+            const { width, height } = entries[0].contentRect;
+
+            renderer.setSize(width, height);
+            updateCameraProjections(width, height);
+        });
+
+        observer.observe(canvasContainer);
+
+        orbitControls = new OrbitControls(camera, renderer.domElement);
+        orbitControls.enableDamping = true;
+        orbitControls.dampingFactor = 0.1;
+        orbitControls.addEventListener('end', scheduleUrlUpdate);
+
+        const ambientLight = new THREE.AmbientLight(0xffffff, 0.7);
+        scene.add(ambientLight);
+        const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
+        directionalLight.position.set(-1, 2, 1).normalize();
+        scene.add(directionalLight);
+    }
+
+    // // --- Replace your createTerrain function with this corrected version ---
+    // async function createTerrain() {
+    //     const textureUrl = `${MAP_API_URL}/texture-mq.jpg`;
+    //     const heightmapUrl = `${MAP_API_URL}/height.png`;
+
+    //     const textureLoader = new THREE.TextureLoader();
+    //     const [colorTexture, heightmapTexture] = await Promise.all([
+    //         textureLoader.loadAsync(textureUrl),
+    //         textureLoader.loadAsync(heightmapUrl),
+    //     ]);
+
+    //     imageWidth = colorTexture.image.width;
+    //     imageHeight = colorTexture.image.height;
+    //     renderer.setSize(imageWidth, imageHeight);
+    //     controlsDiv.style.width = `${imageWidth}px`;
+    //     camera.aspect = imageWidth / imageHeight;
+    //     camera.updateProjectionMatrix();
+
+    //     // Get heightmap data into a pixel array
+    //     const hmWidth = heightmapTexture.image.width;
+    //     const hmHeight = heightmapTexture.image.height;
+    //     const canvas = document.createElement('canvas');
+    //     canvas.width = hmWidth;
+    //     canvas.height = hmHeight;
+    //     const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    //     ctx.drawImage(heightmapTexture.image, 0, 0);
+    //     const pixelData = ctx.getImageData(0, 0, hmWidth, hmHeight).data;
+
+    //     const geometry = new THREE.PlaneGeometry(mapWidthWorld, mapHeightWorld, 255, 255);
+
+    //     const positions = geometry.attributes.position.array;
+    //     const uvs = geometry.attributes.uv.array;
+    //     baseHeightData = []; // Reset the array
+
+    //     // Step 1: Get height for every vertex and store it
+    //     for (let i = 0; i < positions.length / 3; i++) {
+    //         const u = uvs[i * 2];
+    //         const v = uvs[i * 2 + 1];
+
+    //         // This mapping is now correct. The (1 - v) inverts the V coordinate
+    //         // to match the image's top-to-bottom pixel order.
+    //         const imgX = Math.floor(u * (hmWidth - 1));
+    //         const imgY = Math.floor((1 - v) * (hmHeight - 1));
+
+    //         const pixelIndex = (imgY * hmWidth + imgX) * 4;
+    //         const grayscale = pixelData[pixelIndex] / 255.0;
+    //         const height = grayscale * 800;
+
+    //         positions[i * 3 + 1] = height; // Apply the height to the 3D model
+    //         baseHeightData.push(height);   // Store the original height in our array
+    //     }
+
+    //     const material = new THREE.MeshStandardMaterial({ map: colorTexture });
+
+    //     terrainMesh = new THREE.Mesh(geometry, material);
+    //     terrainMesh.rotation.x = -Math.PI / 2;
+    //     terrainMesh.position.set(mapWidthWorld / 2, 0, mapHeightWorld / 2);
+    //     scene.add(terrainMesh);
+
+    //     // After manually changing vertices, we must re-calculate normals for correct lighting
+    //     terrainMesh.geometry.computeVertexNormals();
+    // }
+
+    /**
+     * Removes the current terrain mesh and frees its GPU resources.
+     */
+    function disposeTerrain() {
+        if (!terrainMesh) return;
+        scene.remove(terrainMesh);
+        disposeChunkedTerrain(terrainChunks);
+        terrainColorTexture?.dispose();
+        analysisTexture?.dispose();
+        terrainMaterial.dispose();
+        terrainMesh = terrainChunks = terrainMaterial = null;
+        terrainColorTexture = analysisTexture = analysisCanvas = null;
+        disposeOriginalTerrain();
+    }
+
+    /**
+     * Replaces the terrain's color texture, e.g. after another texture quality was picked.
+     */
+    function setTerrainTexture(colorTexture) {
+        terrainColorTexture.dispose();
+        terrainColorTexture = colorTexture;
+        terrainMaterial.map = colorTexture;
+        // The overlay and the split view's original terrain are rebuilt from the new texture when next needed
+        analysisTexture?.dispose();
+        analysisTexture = analysisCanvas = null;
+        disposeOriginalTerrain();
+        updateAnalysisOverlay();
+        drawMinimapBase();
+    }
+
+    /**
+     * Builds the terrain mesh from a color texture and a decoded heightmap
+     * ({ width, height, data, maxValue }), replacing any terrain that is already in the scene.
+     */
+    function buildTerrain(colorTexture, heightmap) {
+        disposeTerrain();
+
+        imageWidth = colorTexture.image.width;
+        imageHeight = colorTexture.image.height;
+        controlsDiv.style.width = `${Math.min(imageWidth, MAX_CONTROLS_WIDTH)}px`;
+
+        // Keep the real heights at full precision; the mutators and the mesh work from these
+        heightmapWidth = heightmap.width;
+        heightmapHeight = heightmap.height;
+        baseHeightData = heightmapToHeights(heightmap, MIN_MAP_HEIGHT, MAX_MAP_HEIGHT);
+
+        // The terrain spans (0, 0) to (mapWidthWorld, mapHeightWorld) with image row 0 at z = 0,
+        // and is split into chunks whose vertices sit on the heightmap pixels (see TERRAIN CHUNKS)
+        terrainMaterial = new THREE.MeshStandardMaterial({ map: colorTexture });
+        terrainColorTexture = colorTexture;
+
+        terrainChunks = createChunkedTerrain(terrainMaterial);
+        terrainMesh = terrainChunks.group;
+        scene.add(terrainMesh);
+
+        sculptDeltaData = new Float32Array(baseHeightData.length);
+        sculptEdited = false;
+
+        // Show the unmodified terrain until the mutator chain has been evaluated for it
+        const { min, max } = findHeightRange(baseHeightData);
+        applyMutatedHeights(new Float32Array(baseHeightData), min, max);
+        resetMutatorBase();
+    }
+
+    /**
+     * Bilinearly samples a height array (laid out like the heightmap) at world coordinates.
+     */
+    function sampleHeight(heights, x, z) {
+        const fx = Math.min(Math.max(x / mapWidthWorld, 0), 1) * (heightmapWidth - 1);
+        const fz = Math.min(Math.max(z / mapHeightWorld, 0), 1) * (heightmapHeight - 1);
+        const x0 = Math.floor(fx), z0 = Math.floor(fz);
+        const x1 = Math.min(x0 + 1, heightmapWidth - 1), z1 = Math.min(z0 + 1, heightmapHeight - 1);
+        const tx = fx - x0, tz = fz - z0;
+
+        const top = heights[z0 * heightmapWidth + x0] * (1 - tx) + heights[z0 * heightmapWidth + x1] * tx;
+        const bottom = heights[z1 * heightmapWidth + x0] * (1 - tx) + heights[z1 * heightmapWidth + x1] * tx;
+        return top * (1 - tz) + bottom * tz;
+    }
+
+    /**
+     * Moves the terrain to the given heights. With a region ({ x0, z0, x1, z1 } in heightmap
+     * pixels) only the chunks that overlap it are rebuilt.
+     */
+    function updateTerrainGeometry(heights, region) {
+        updateChunkedTerrain(terrainChunks, heights, region);
+    }
+
+    // --- TERRAIN CHUNKS ---
+    // The terrain is a grid of chunks of CHUNK_CELLS x CHUNK_CELLS heightmap cells, with one vertex
+    // per heightmap pixel at full detail, so no map loses detail to a fixed mesh size. Each chunk
+    // picks its level of detail from its distance to the camera: level n samples every 2^n-th pixel.
+    // Edge vertices next to a coarser neighbour are moved onto the neighbour's edge so the levels
+    // meet without cracks, and normals come from the full resolution heights so shading matches
+    // across chunks. Three.js culls the chunks outside the view by their bounding spheres, and
+    // those are kept at the coarsest level so zooming in only refines what is on screen.
+    const CHUNK_CELLS = 128;
+    const MAX_CHUNK_LOD = 4;
+    const LOD_DISTANCE = 1.5; // In chunk widths; beyond it a chunk drops a level each time the distance doubles
+    const LOD_HYSTERESIS = 0.25; // In levels; how far past a threshold a chunk must be before it switches
+    const lodFrustum = new THREE.Frustum();
+    const lodProjection = new THREE.Matrix4();
+    const lodBox = new THREE.Box3();
+
+    /**
+     * Creates the chunk meshes for the current heightmap size. They get their vertices from
+     * updateChunkedTerrain. Returns { group, chunks, chunksX, chunksZ, heights }.
+     */
+    function createChunkedTerrain(material) {
+        const group = new THREE.Group();
+        const chunksX = Math.ceil((heightmapWidth - 1) / CHUNK_CELLS);
+        const chunksZ = Math.ceil((heightmapHeight - 1) / CHUNK_CELLS);
+        const chunks = [];
+        for (let cz = 0; cz < chunksZ; cz++) {
+            for (let cx = 0; cx < chunksX; cx++) {
+                const mesh = new THREE.Mesh(new THREE.BufferGeometry(), material);
+                group.add(mesh);
+                chunks.push({
+                    cx, cz, mesh,
+                    x0: cx * CHUNK_CELLS,
+                    z0: cz * CHUNK_CELLS,
+                    x1: Math.min((cx + 1) * CHUNK_CELLS, heightmapWidth - 1),
+                    z1: Math.min((cz + 1) * CHUNK_CELLS, heightmapHeight - 1),
+                    lod: MAX_CHUNK_LOD, // Start coarse; updateChunkLods refines what the camera is close to
+                    buildKey: null // The detail levels the current geometry was built for
+                });
+            }
+        }
+        return { group, chunks, chunksX, chunksZ, heights: null };
+    }
+
+    function disposeChunkedTerrain(terrain) {
+        terrain.chunks.forEach(chunk => chunk.mesh.geometry.dispose());
+    }
+
+    // Heightmap pixels from start to end every `step` pixels, always ending on `end`
+    function chunkAxisSamples(start, end, step) {
+        const samples = [];
+        for (let p = start; p < end; p += step) samples.push(p);
+        samples.push(end);
+        return samples;
+    }
+
+    /**
+     * Height at pixel `p` along a chunk edge, as a neighbour that samples the edge every
+     * `step` pixels from `start` sees it. `heightAt(p)` reads the edge at full resolution.
+     */
+    function coarseEdgeHeight(heightAt, p, start, end, step) {
+        const a = start + Math.floor((p - start) / step) * step;
+        const b = Math.min(a + step, end);
+        if (b === a) return heightAt(a);
+        return heightAt(a) + (heightAt(b) - heightAt(a)) * (p - a) / (b - a);
+    }
+
+    // The detail level of the neighbouring chunk, or -1 past the edge of the map
+    function neighbourLod(terrain, cx, cz) {
+        if (cx < 0 || cz < 0 || cx >= terrain.chunksX || cz >= terrain.chunksZ) return -1;
+        return terrain.chunks[cz * terrain.chunksX + cx].lod;
+    }
+
+    function buildChunkGeometry(terrain, chunk, edgeLods) {
+        const { heights } = terrain;
+        const width = heightmapWidth, height = heightmapHeight;
+        const scaleX = mapWidthWorld / (width - 1);
+        const scaleZ = mapHeightWorld / (height - 1);
+        const xs = chunkAxisSamples(chunk.x0, chunk.x1, 1 << chunk.lod);
+        const zs = chunkAxisSamples(chunk.z0, chunk.z1, 1 << chunk.lod);
+        const [north, south, west, east] = edgeLods.map(lod => 1 << Math.max(lod, chunk.lod));
+
+        const count = xs.length * zs.length;
+        const positions = new Float32Array(count * 3);
+        const normals = new Float32Array(count * 3);
+        const uvs = new Float32Array(count * 2);
+        const normal = new THREE.Vector3();
+
+        let v = 0;
+        for (let j = 0; j < zs.length; j++) {
+            const pz = zs[j];
+            for (let i = 0; i < xs.length; i++) {
+                const px = xs[i];
+                let h = heights[pz * width + px];
+                if (j === 0 && north > 1) h = coarseEdgeHeight(x => heights[pz * width + x], px, chunk.x0, chunk.x1, north);
+                else if (j === zs.length - 1 && south > 1) h = coarseEdgeHeight(x => heights[pz * width + x], px, chunk.x0, chunk.x1, south);
+                else if (i === 0 && west > 1) h = coarseEdgeHeight(z => heights[z * width + px], pz, chunk.z0, chunk.z1, west);
+                else if (i === xs.length - 1 && east > 1) h = coarseEdgeHeight(z => heights[z * width + px], pz, chunk.z0, chunk.z1, east);
+
+                positions[v * 3] = px * scaleX;
+                positions[v * 3 + 1] = h;
+                positions[v * 3 + 2] = pz * scaleZ;
+
+                // Central differences of the full resolution heights
+                const left = heights[pz * width + Math.max(px - 1, 0)];
+                const right = heights[pz * width + Math.min(px + 1, width - 1)];
+                const up = heights[Math.max(pz - 1, 0) * width + px];
+                const down = heights[Math.min(pz + 1, height - 1) * width + px];
+                normal.set((left - right) / (2 * scaleX), 1, (up - down) / (2 * scaleZ)).normalize();
+                normals[v * 3] = normal.x;
+                normals[v * 3 + 1] = normal.y;
+                normals[v * 3 + 2] = normal.z;
+
+                // The texture's top row lies along z = 0
+                uvs[v * 2] = px / (width - 1);
+                uvs[v * 2 + 1] = 1 - pz / (height - 1);
+                v++;
+            }
+        }
+
+        const indices = new (count > 65535 ? Uint32Array : Uint16Array)((xs.length - 1) * (zs.length - 1) * 6);
+        let k = 0;
+        for (let j = 0; j < zs.length - 1; j++) {
+            for (let i = 0; i < xs.length - 1; i++) {
+                const a = j * xs.length + i, b = a + 1, c = a + xs.length, d = c + 1;
+                indices[k++] = a; indices[k++] = c; indices[k++] = b;
+                indices[k++] = b; indices[k++] = c; indices[k++] = d;
+            }
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+        geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+        geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+        geometry.computeBoundingBox();
+        geometry.computeBoundingSphere();
+
+        chunk.mesh.geometry.dispose();
+        chunk.mesh.geometry = geometry;
+        chunk.buildKey = [chunk.lod, ...edgeLods].join();
+    }
+
+    function getChunkEdgeLods(terrain, chunk) {
+        return [
+            neighbourLod(terrain, chunk.cx, chunk.cz - 1),
+            neighbourLod(terrain, chunk.cx, chunk.cz + 1),
+            neighbourLod(terrain, chunk.cx - 1, chunk.cz),
+            neighbourLod(terrain, chunk.cx + 1, chunk.cz)
+        ];
+    }
+
+    /**
+     * Rebuilds the chunks that overlap `region` (all of them without one) from new heights.
+     */
+    function updateChunkedTerrain(terrain, heights, region) {
+        terrain.heights = heights;
+        for (const chunk of terrain.chunks) {
+            // Normals read one pixel beyond the edited area
+            if (region && (chunk.x1 < region.x0 - 1 || chunk.x0 > region.x1 + 1 ||
+                           chunk.z1 < region.z0 - 1 || chunk.z0 > region.z1 + 1)) continue;
+            buildChunkGeometry(terrain, chunk, getChunkEdgeLods(terrain, chunk));
+        }
+    }
+
+    /**
+     * Picks each chunk's detail level for `viewCamera` and rebuilds the chunks whose
+     * own level or whose neighbours' levels changed.
+     */
+    function updateChunkLods(terrain, viewCamera = camera) {
+        if (!terrain?.heights) return;
+        const chunkWorldSize = CHUNK_CELLS * mapWidthWorld / (heightmapWidth - 1);
+        const fullDetailDistance = chunkWorldSize * LOD_DISTANCE;
+        const scaleX = mapWidthWorld / (heightmapWidth - 1);
+        const scaleZ = mapHeightWorld / (heightmapHeight - 1);
+
+        viewCamera.updateMatrixWorld();
+        lodFrustum.setFromProjectionMatrix(lodProjection.multiplyMatrices(viewCamera.projectionMatrix, viewCamera.matrixWorldInverse));
+
+        for (const chunk of terrain.chunks) {
+            // Half a chunk of slack keeps chunks at the edge of the view from flipping in and out
+            const box = chunk.mesh.geometry.boundingBox;
+            if (box && !lodFrustum.intersectsBox(lodBox.copy(box).expandByScalar(chunkWorldSize / 2))) {
+                chunk.lod = MAX_CHUNK_LOD;
+                continue;
+            }
+
+            const dx = Math.max(chunk.x0 * scaleX - viewCamera.position.x, 0, viewCamera.position.x - chunk.x1 * scaleX);
+            const dz = Math.max(chunk.z0 * scaleZ - viewCamera.position.z, 0, viewCamera.position.z - chunk.z1 * scaleZ);
+            let distance;
+            if (viewCamera.isOrthographicCamera) {
+                // The top-down camera is straight above the middle of the view. Everything is seen at
+                // the scale set by the zoom; chunks further out from the middle get a little coarser.
+                distance = Math.hypot(orthoViewHeight / viewCamera.zoom, dx, dz);
+            } else {
+                const dy = box ? Math.max(box.min.y - viewCamera.position.y, 0, viewCamera.position.y - box.max.y) : 0;
+                distance = Math.hypot(dx, dy, dz);
+            }
+
+            // Only switch once the distance is clearly past a threshold, so orbiting near one doesn't
+            // rebuild the chunk over and over
+            const level = distance <= fullDetailDistance ? 0 : Math.log2(distance / fullDetailDistance) + 1;
+            const lod = Math.min(MAX_CHUNK_LOD, Math.floor(level));
+            if (lod > chunk.lod ? level >= chunk.lod + 1 + LOD_HYSTERESIS : lod < chunk.lod && level < chunk.lod - LOD_HYSTERESIS) {
+                chunk.lod = lod;
+            }
+        }
+
+        for (const chunk of terrain.chunks) {
+            const edgeLods = getChunkEdgeLods(terrain, chunk);
+            if ([chunk.lod, ...edgeLods].join() !== chunk.buildKey) buildChunkGeometry(terrain, chunk, edgeLods);
+        }
+    }
+
+    /**
+     * Fits the whole map in view, whatever its size, keeping the current camera mode.
+     * Called whenever a new map has been loaded.
+     */
+    function frameCameraOnMap() {
+        if (!mapWidthWorld) return;
+        const center = new THREE.Vector3(mapWidthWorld / 2, 0, mapHeightWorld / 2);
+        const radius = getMapRadius();
+        cameraFlight = null;
+        orbitControls.target.copy(center);
+
+        if (cameraMode === 'top') {
+            const { x: width, y: height } = renderer.getSize(rendererSize);
+            orthoViewHeight = Math.max(mapHeightWorld, mapWidthWorld * height / width) * 1.05;
+            orthoCamera.zoom = 1;
+            updateCameraProjections(width, height);
+            camera.position.set(center.x, radius * 2, center.z);
+        } else {
+            // The distance at which the map's bounding sphere fits the vertical field of view
+            const distance = radius / Math.sin(THREE.MathUtils.degToRad(perspectiveCamera.fov) / 2);
+            camera.position.copy(center).addScaledVector(getCameraModeDirection(), distance);
+        }
+        orbitControls.update();
+    }
+
+    /**
+     * Brings the rest of the scene and the UI in line with a freshly built terrain.
+     */
+    function finishMapLoad() {
+        document.getElementById('current-map-name').textContent = mapMetadata.fileName || mapMetadata.name || currentMapFileName;
+        setMapCacheStatus(null);
+        showAssetWarnings([]);
+        textureLoadVersion++;
+        renderMapBrowser();
+
+        // Measurements, a loaded layout file and a replay belong to the previous map
+        clearReplay();
+        rulerPoints = [];
+        updateRuler();
+        layoutOverride = null;
+        document.getElementById('overlay-file').value = '';
+
+        frameCameraOnMap();
+        // A shared link restores its camera once, on the first map that loads
+        if (initialViewState.camera) {
+            camera.position.fromArray(initialViewState.camera.position);
+            orbitControls.target.fromArray(initialViewState.camera.target);
+            orbitControls.update();
+            delete initialViewState.camera;
+        }
+        fitWaterPlane();
+        updateWaterControlRanges();
+        refreshMutatorRanges();
+        buildOverlays();
+        renderViewpointOptions();
+        renderMapInfo();
+        applyMutatorChain();
+    }
+
+    /**
+     * Creates the 3D mesh for the water plane and adds it to the scene.
+     * It is a unit plane that fitWaterPlane() scales to the loaded map.
+     */
+    function createWaterPlane() {
+        const waterGeometry = new THREE.PlaneGeometry(1, 1);
+
+        const waterMaterial = new THREE.MeshStandardMaterial({
+            color: 0x42a5f5,      // A nice blue color
+            transparent: true,
+            opacity: 0.60,
+            roughness: 0.1,       // Makes the surface shiny like water
+            metalness: 0.2
+        });
+
+        waterPlane = new THREE.Mesh(waterGeometry, waterMaterial);
+        waterPlane.rotation.x = -Math.PI / 2; // Lay it flat
+        waterPlane.position.y = 0;          // Initial height
+        waterPlane.visible = true;           // Start visible
+
+        scene.add(waterPlane);
+    }
+
+    function fitWaterPlane() {
+        waterPlane.scale.set(mapWidthWorld, mapHeightWorld, 1);
+        waterPlane.position.x = mapWidthWorld / 2;
+        waterPlane.position.z = mapHeightWorld / 2;
+    }
+
+    // --- TERRAIN MUTATORS ---
+    function getMutatorContext() {
+        return createMutatorContext({
+            width: heightmapWidth,
+            height: heightmapHeight,
+            minHeight: MIN_MAP_HEIGHT,
+            maxHeight: MAX_MAP_HEIGHT,
+            waterLevel: getWaterLevel(),
+            thresholdsLocked
+        });
+    }
+
+    /**
+     * Builds a complete mutator from a possibly partial description such as a URL entry or recipe.
+     * Accepts both { type, params: {...} } and the older flat { type, threshold, factor } shape.
+     */
+    function normalizeMutator(description) {
+        const params = resolveMutatorParams(description, getMutatorContext());
+        return { id: ++lastMutatorId, type: description.type, params, enabled: description.enabled !== false };
+    }
+
+    // --- MUTATOR EVALUATION ---
+    // The chain runs in a module worker so dragging a slider never blocks rendering.
+    // While the worker is busy, further requests are coalesced into a single re-run with the
+    // latest chain. If workers are unavailable the same code runs on the main thread.
+    let mutatorWorker = null;
+    let workerBusy = false, workerRunPending = false;
+    let baseVersion = 0; // Bumped whenever baseHeightData is replaced
+    let mainThreadChainCache = createChainCache();
+
+    function createMutatorWorker() {
+        try {
+            const worker = new Worker(new URL('./mutatorWorker.js', import.meta.url), { type: 'module' });
+            worker.addEventListener('message', onMutatorWorkerMessage);
+            worker.addEventListener('error', (event) => {
+                console.error("Mutator worker failed, falling back to the main thread:", event.message);
+                mutatorWorker = null;
+                workerBusy = false;
+                applyMutatorChain();
+            });
+            return worker;
+        } catch (error) {
+            console.warn("Module workers are not supported, mutators will run on the main thread:", error);
+            return null;
+        }
+    }
+
+    /**
+     * Hands a new base heightmap to whichever evaluator is in use, dropping any cached steps.
+     */
+    function resetMutatorBase() {
+        baseVersion++;
+        mainThreadChainCache = createChainCache();
+        if (mutatorWorker) {
+            const heights = new Float32Array(baseHeightData);
+            mutatorWorker.postMessage({ type: 'setBase', heights, baseVersion }, [heights.buffer]);
+        }
+    }
+
+    function onMutatorWorkerMessage({ data }) {
+        workerBusy = false;
+        // Results for a map that has since been replaced are dropped
+        if (data.baseVersion === baseVersion) {
+            if (data.type === 'result') {
+                chainWaterStats = data.stats;
+                applyMutatedHeights(data.heights, data.min, data.max);
+            } else {
+                console.error("Could not apply mutators:", data.message);
+            }
+        }
+        if (workerRunPending) {
+            workerRunPending = false;
+            applyMutatorChain();
+        }
+    }
+
+    // The plain description of the chain that gets evaluated (and posted to the worker)
+    function getChainDescription() {
+        return buildMutatorChain(mutatorChain, getMutatorContext());
+    }
+
+    /**
+     * Applies the full chain of mutators in order.
+     */
+    function applyMutatorChain() {
+        if (!baseHeightData) return;
+
+        if (mutatorWorker) {
+            if (workerBusy) {
+                workerRunPending = true;
+                return;
+            }
+            workerBusy = true;
+            mutatorWorker.postMessage({ type: 'run', chain: getChainDescription(), context: getMutatorContext(), waterLevel: getWaterLevel() });
+            return;
+        }
+
+        const result = evaluateMutatorChain(baseHeightData, getChainDescription(), getMutatorContext(), mainThreadChainCache);
+        chainWaterStats = computeChainWaterStats(baseHeightData, mainThreadChainCache, getWaterLevel());
+        const heights = new Float32Array(result);
+        const { min, max } = findHeightRange(heights);
+        applyMutatedHeights(heights, min, max);
+    }
+
+    /**
+     * Makes freshly evaluated heights the current terrain.
+     */
+    function applyMutatedHeights(heights, minHeight, maxHeight) {
+        // Brush edits sit on top of the mutator output
+        if (sculptEdited) {
+            for (let i = 0; i < heights.length; i++) heights[i] += sculptDeltaData[i];
+            ({ min: minHeight, max: maxHeight } = findHeightRange(heights));
+        }
+
+        mutatedHeightData = heights;
+        mutatedMinHeight = minHeight;
+        mutatedMaxHeight = maxHeight;
+
+        // Move the mesh vertices to the mutated heights. They are floats throughout,
+        // so there is no quantization no matter how far the range was stretched.
+        updateTerrainGeometry(mutatedHeightData);
+        notifyTerrainChanged();
+    }
+
+    function onTerrainChanged(listener) {
+        terrainChangeListeners.push(listener);
+    }
+
+    function notifyTerrainChanged() {
+        terrainChangeListeners.forEach(listener => listener());
+    }
+
+    function onWaterChanged(listener) {
+        waterChangeListeners.push(listener);
+    }
+
+    /**
+     * Sets up the map browser panel: search, filters and sorting over mapData.
+     */
+    function initializeMapControls() {
+        const browserPanel = document.getElementById('map-browser-panel');
+        const toggleBtn = document.getElementById('map-browser-toggle-btn');
+
+        document.getElementById('current-map-name').textContent = currentMapFileName;
+        document.getElementById('map-load-cancel-btn').addEventListener('click', cancelMapLoad);
+        document.getElementById('asset-warning-close').addEventListener('click', () => showAssetWarnings([]));
+
+        const qualitySelector = document.getElementById('texture-quality');
+        showTextureOptions(TEXTURE_OPTIONS, pickTextureQuality(TEXTURE_OPTIONS));
+        qualitySelector.addEventListener('change', () => {
+            storeTextureQuality(qualitySelector.value);
+            reloadMapTexture();
+        });
+
+        toggleBtn.addEventListener('click', () => {
+            browserPanel.hidden = !browserPanel.hidden;
+            toggleBtn.classList.toggle('active', !browserPanel.hidden);
+        });
+
+        document.getElementById('map-search').addEventListener('input', renderMapBrowser);
+        for (const id of ['map-status-filter', 'map-size-filter', 'map-players-filter', 'map-terrain-filter', 'map-sort']) {
+            document.getElementById(id).addEventListener('change', renderMapBrowser);
+        }
+
+        document.getElementById('clear-cache-btn').addEventListener('click', async () => {
+            await assetCache.clear();
+            setMapCacheStatus(null);
+            updateCacheUsage();
+        });
+        updateCacheUsage();
+    }
+
+    function setMapStatus(message, isError = false) {
+        const status = document.getElementById('map-status');
+        status.textContent = message;
+        status.hidden = !message;
+        status.classList.toggle('error', isError);
+    }
+
+    /**
+     * Sets up the local map source: .smf/.sdz files, extracted map folders,
+     * loose heightmap + texture pairs, and drag-and-drop of any of these onto the 3D view.
+     */
+    function initializeLocalMapControls() {
+        const mapFileInput = document.getElementById('local-map-file');
+        const mapFolderInput = document.getElementById('local-map-folder');
+        const heightmapInput = document.getElementById('local-heightmap-file');
+        const textureInput = document.getElementById('local-texture-file');
+        const minHeightInput = document.getElementById('local-min-height');
+        const maxHeightInput = document.getElementById('local-max-height');
+        const widthInput = document.getElementById('local-map-width');
+        const heightInput = document.getElementById('local-map-height');
+        const loadPairBtn = document.getElementById('local-pair-load-btn');
+        const replayInput = document.getElementById('replay-file-input');
+
+        function setInputFile(input, file) {
+            const transfer = new DataTransfer();
+            transfer.items.add(file);
+            input.files = transfer.files;
+            input.dispatchEvent(new Event('change'));
+        }
+
+        async function openLocalMapFiles(files) {
+            const findByExtension = (extension) => files.find(f => f.name.toLowerCase().endsWith(extension));
+            const smfFile = findByExtension('.smf');
+            const sdzFile = findByExtension('.sdz');
+            const sd7File = findByExtension('.sd7');
+            const images = files.filter(f => f.type.startsWith('image/'));
+
+            try {
+                if (smfFile) {
+                    setMapStatus(`Reading ${smfFile.name}...`);
+                    // Name an extracted archive after its folder rather than the generic maps/*.smf
+                    const folder = smfFile.webkitRelativePath?.split('/')[0];
+                    loadSmfMap(await smfFile.arrayBuffer(), folder || stripExtension(smfFile.name));
+                } else if (sdzFile) {
+                    setMapStatus(`Reading ${sdzFile.name}...`);
+                    const entry = await extractFromZip(await sdzFile.arrayBuffer(), /\.smf$/i);
+                    if (!entry) throw new Error(`${sdzFile.name} does not contain a .smf file`);
+                    loadSmfMap(entry.buffer, stripExtension(sdzFile.name));
+                } else if (sd7File) {
+                    throw new Error(`${sd7File.name} is 7-Zip compressed, which the browser cannot read. Extract it and open the folder or its maps/*.smf file instead`);
+                } else if (images.length) {
+                    // Loose images go into the heightmap + texture form, which still needs min/max heights
+                    const heightmap = images.find(f => /height/i.test(f.name)) || images[0];
+                    const texture = images.find(f => f !== heightmap);
+                    setInputFile(heightmapInput, heightmap);
+                    if (texture) setInputFile(textureInput, texture);
+                    setMapStatus('Enter the min/max height for the heightmap and press Load.');
+                    return;
+                } else {
+                    return;
+                }
+                setMapStatus(`Showing local map ${mapMetadata.name}`);
+            } catch (error) {
+                console.error("Could not open local map:", error);
+                setMapStatus(`Could not open local map: ${error.message}`, true);
+            }
+        }
+
+        mapFileInput.addEventListener('change', () => openLocalMapFiles(Array.from(mapFileInput.files)));
+        mapFolderInput.addEventListener('change', () => openLocalMapFiles(Array.from(mapFolderInput.files)));
+
+        // Pre-fill the map size from the heightmap dimensions
+        heightmapInput.addEventListener('change', async () => {
+            const file = heightmapInput.files[0];
+            if (!file) return;
+            try {
+                const bitmap = await createImageBitmap(file);
+                widthInput.value = guessMapSize(bitmap.width);
+                heightInput.value = guessMapSize(bitmap.height);
+                bitmap.close();
+            } catch (error) {
+                setMapStatus(`Could not read ${file.name}: ${error.message}`, true);
+            }
+        });
+
+        loadPairBtn.addEventListener('click', async () => {
+            const heightmapFile = heightmapInput.files[0];
+            if (!heightmapFile) {
+                setMapStatus('Choose a heightmap image first.', true);
+                return;
+            }
+            const options = {
+                minHeight: parseFloat(minHeightInput.value || 0),
+                maxHeight: parseFloat(maxHeightInput.value || 0),
+                width: parseFloat(widthInput.value) || 1,
+                height: parseFloat(heightInput.value) || 1
+            };
+            if (!(options.maxHeight > options.minHeight)) {
+                setMapStatus('Max height must be greater than min height.', true);
+                return;
+            }
+            try {
+                setMapStatus(`Reading ${heightmapFile.name}...`);
+                await loadHeightmapPair(heightmapFile, textureInput.files[0], options);
+                setMapStatus(`Showing local map ${mapMetadata.name}`);
+            } catch (error) {
+                console.error("Could not open local heightmap:", error);
+                setMapStatus(`Could not open local heightmap: ${error.message || heightmapFile.name}`, true);
+            }
+        });
+
+        // Files dropped onto the 3D view: a replay CSV goes to the replay controls, anything else is a map
+        canvasContainer.addEventListener('dragover', (event) => event.preventDefault());
+        canvasContainer.addEventListener('drop', async (event) => {
+            event.preventDefault();
+            const files = await getDroppedFiles(event.dataTransfer);
+            const replayFile = files.find(f => f.name.toLowerCase().endsWith('.csv'));
+            if (replayFile) setInputFile(replayInput, replayFile);
+            else openLocalMapFiles(files);
+        });
+    }
+
+    /**
+     * Sets up the sculpting brushes. While a brush is selected, dragging on the terrain paints
+     * instead of orbiting the camera.
+     */
+    function initializeSculptControls() {
+        const canvas = renderer.domElement;
+        const brushModeSelector = document.getElementById('brush-mode');
+        const clearSculptBtn = document.getElementById('clear-sculpt-btn');
+
+        createBrushRing();
+
+        // Keep each slider's readout next to it
+        for (const id of ['brush-radius', 'brush-strength', 'brush-falloff']) {
+            const slider = document.getElementById(id);
+            const display = document.getElementById(`${id}-value`);
+            slider.addEventListener('input', () => { display.textContent = slider.value; });
+        }
+
+        // Registered on the container in the capture phase, so it runs before OrbitControls
+        // sees the pointerdown on the canvas and can stop the camera from rotating.
+        canvasContainer.addEventListener('pointerdown', (event) => {
+            const { mode } = getBrushSettings();
+            // Ignore the UI drawn over the canvas, such as the split view divider
+            if (!mode || event.button !== 0 || event.target !== canvas) return;
+            const point = pickTerrainPoint(event);
+            if (!point) return;
+
+            event.stopPropagation();
+            orbitControls.enabled = false;
+            canvas.setPointerCapture(event.pointerId);
+            brushStroke = {
+                pointerId: event.pointerId,
+                x: point.x,
+                z: point.z,
+                flattenHeight: sampleHeight(mutatedHeightData, point.x, point.z)
+            };
+        }, { capture: true });
+
+        canvas.addEventListener('pointermove', (event) => {
+            const { mode, radius } = getBrushSettings();
+            const point = mode ? pickTerrainPoint(event) : null;
+            if (!point) {
+                brushRing.visible = false;
+                return;
+            }
+            updateBrushRing(point, radius, mode);
+            if (brushStroke && event.pointerId === brushStroke.pointerId) {
+                brushStroke.x = point.x;
+                brushStroke.z = point.z;
+            }
+        });
+
+        function endStroke(event) {
+            if (!brushStroke || event.pointerId !== brushStroke.pointerId) return;
+            brushStroke = null;
+            orbitControls.enabled = true;
+            ({ min: mutatedMinHeight, max: mutatedMaxHeight } = findHeightRange(mutatedHeightData));
+        }
+        canvas.addEventListener('pointerup', endStroke);
+        canvas.addEventListener('pointercancel', endStroke);
+        canvas.addEventListener('pointerleave', () => {
+            if (!brushStroke) brushRing.visible = false;
+        });
+
+        brushModeSelector.addEventListener('change', () => {
+            if (!brushModeSelector.value) brushRing.visible = false;
+        });
+
+        clearSculptBtn.addEventListener('click', () => {
+            if (!sculptDeltaData) return;
+            sculptDeltaData.fill(0);
+            sculptEdited = false;
+            applyMutatorChain();
+        });
+    }
+
+    /**
+     * Sets up the hover height probe and the ruler. In ruler mode a click (not a drag)
+     * on the terrain adds a point to the measured path.
+     */
+    function initializeMeasureControls() {
+        const canvas = renderer.domElement;
+        const rulerToggleBtn = document.getElementById('ruler-toggle-btn');
+        const rulerClearBtn = document.getElementById('ruler-clear-btn');
+        let pointerDownPosition = null;
+
+        createRulerObjects();
+
+        canvas.addEventListener('pointermove', (event) => updateHeightProbe(pickTerrainPoint(event)));
+        canvas.addEventListener('pointerleave', () => updateHeightProbe(null));
+
+        canvas.addEventListener('pointerdown', (event) => {
+            pointerDownPosition = { x: event.clientX, y: event.clientY };
+        });
+        canvas.addEventListener('pointerup', (event) => {
+            if (!rulerActive || !pointerDownPosition || event.button !== 0) return;
+            // Dragging orbits the camera; only a click places a point
+            const moved = Math.hypot(event.clientX - pointerDownPosition.x, event.clientY - pointerDownPosition.y);
+            pointerDownPosition = null;
+            if (moved > 4) return;
+            const point = pickTerrainPoint(event);
+            if (!point) return;
+            rulerPoints.push({ x: point.x, z: point.z });
+            updateRuler();
+        });
+
+        rulerToggleBtn.addEventListener('click', () => {
+            rulerActive = !rulerActive;
+            rulerToggleBtn.classList.toggle('active', rulerActive);
+            updateRuler();
+        });
+        rulerClearBtn.addEventListener('click', () => {
+            rulerPoints = [];
+            updateRuler();
+        });
+
+        // Keep the ruler draped over the terrain as mutators and brushes change it
+        onTerrainChanged(() => {
+            if (rulerPoints.length) updateRuler();
+        });
+        // The profile chart shows the water level
+        onWaterChanged(() => {
+            if (rulerPoints.length) updateRuler();
+        });
+    }
+
+    /**
+     * Sets up the presets panel: save, apply, delete, import and export.
+     */
+    function initializePresetControls() {
+        const presetSelect = document.getElementById('preset-select');
+        const presetNameInput = document.getElementById('preset-name');
+        const relativeToggle = document.getElementById('preset-relative-toggle');
+        const importInput = document.getElementById('preset-import-file');
+        const presetStatus = document.getElementById('preset-status');
+
+        function renderPresetOptions(selectedName) {
+            const presets = loadPresets();
+            presetSelect.innerHTML = presets.length ? '' : '<option value="">No saved presets</option>';
+            // Names are user text, so they go in as option text rather than markup
+            for (const preset of presets) {
+                presetSelect.add(new Option(preset.relative ? `${preset.name} (relative)` : preset.name, preset.name));
+            }
+            if (selectedName) presetSelect.value = selectedName;
+        }
+
+        // Adds or replaces presets by name
+        function savePresets(newPresets) {
+            const names = new Set(newPresets.map(preset => preset.name));
+            storePresets([...loadPresets().filter(preset => !names.has(preset.name)), ...newPresets]);
+            renderPresetOptions(newPresets[newPresets.length - 1]?.name);
+        }
+
+        document.getElementById('preset-save-btn').addEventListener('click', () => {
+            const name = presetNameInput.value.trim();
+            if (!name) {
+                presetStatus.textContent = 'Enter a name first';
+                return;
+            }
+            savePresets([createPreset(name, relativeToggle.checked)]);
+            presetStatus.textContent = `Saved "${name}"`;
+        });
+
+        document.getElementById('preset-apply-btn').addEventListener('click', () => {
+            const preset = loadPresets().find(p => p.name === presetSelect.value);
+            if (!preset) return;
+            setMutatorChain(resolvePreset(preset));
+            scheduleUrlUpdate();
+            presetStatus.textContent = `Applied "${preset.name}"`;
+        });
+
+        document.getElementById('preset-delete-btn').addEventListener('click', () => {
+            const name = presetSelect.value;
+            if (!name) return;
+            storePresets(loadPresets().filter(preset => preset.name !== name));
+            renderPresetOptions();
+            presetStatus.textContent = `Deleted "${name}"`;
+        });
+
+        document.getElementById('preset-export-btn').addEventListener('click', () => {
+            const json = JSON.stringify({ presets: loadPresets() }, null, 2);
+            downloadBlob(new Blob([json], { type: 'application/json' }), 'mutator-presets.json');
+        });
+
+        importInput.addEventListener('change', async () => {
+            const file = importInput.files[0];
+            if (!file) return;
+            try {
+                const presets = readPresetFile(JSON.parse(await file.text()), file.name.replace(/\.json$/i, ''));
+                if (!presets.length) throw new Error("no presets found");
+                savePresets(presets);
+                presetStatus.textContent = `Imported ${presets.length} preset${presets.length === 1 ? '' : 's'}`;
+            } catch (error) {
+                console.error("Could not import presets:", error);
+                presetStatus.textContent = `Could not import ${file.name}: ${error.message}`;
+            }
+            importInput.value = '';
+        });
+
+        renderPresetOptions();
+    }
+
+    /**
+     * Sets up the camera mode selector, keyboard and edge panning, and the saved viewpoints.
+     */
+    function initializeCameraControls() {
+        const canvas = renderer.domElement;
+        const viewpointSelect = document.getElementById('viewpoint-select');
+        const viewpointNameInput = document.getElementById('viewpoint-name');
+
+        document.getElementById('camera-mode').addEventListener('change', (event) => setCameraMode(event.target.value));
+        document.getElementById('frame-map-btn').addEventListener('click', () => {
+            frameCameraOnMap();
+            scheduleUrlUpdate();
+        });
+
+        // Any manual camera move cancels a flight in progress
+        orbitControls.addEventListener('start', () => { cameraFlight = null; });
+
+        window.addEventListener('keydown', (event) => {
+            const key = event.key.toLowerCase();
+            if (!(key in CAMERA_PAN_KEYS) || event.ctrlKey || event.metaKey || event.altKey) return;
+            if (cameraMode === 'orbit' || event.target.matches('input, textarea, select')) return;
+            pressedCameraKeys.add(key);
+            event.preventDefault();
+        });
+        window.addEventListener('keyup', (event) => {
+            pressedCameraKeys.delete(event.key.toLowerCase());
+            if (!pressedCameraKeys.size) scheduleUrlUpdate();
+        });
+        // Keys released while the window is in the background never send keyup
+        window.addEventListener('blur', () => pressedCameraKeys.clear());
+
+        canvas.addEventListener('pointermove', (event) => {
+            // Only scroll while hovering, not while dragging
+            if (event.buttons) {
+                edgeScrollPointer = null;
+                return;
+            }
+            const rect = canvas.getBoundingClientRect();
+            edgeScrollPointer = { x: (event.clientX - rect.left) / rect.width, y: (event.clientY - rect.top) / rect.height };
+        });
+        canvas.addEventListener('pointerleave', () => { edgeScrollPointer = null; });
+
+        document.getElementById('viewpoint-save-btn').addEventListener('click', () => {
+            const name = viewpointNameInput.value.trim() || `View ${viewpointSelect.options.length + 1}`;
+            const viewpoints = loadViewpoints();
+            const mapKey = getViewpointMapKey();
+            const list = (viewpoints[mapKey] || []).filter(viewpoint => viewpoint.name !== name);
+            list.push({
+                name,
+                mode: cameraMode,
+                position: camera.position.toArray().map(Math.round),
+                target: orbitControls.target.toArray().map(Math.round),
+                zoom: camera.zoom
+            });
+            viewpoints[mapKey] = list;
+            storeViewpoints(viewpoints);
+            viewpointNameInput.value = '';
+            renderViewpointOptions(name);
+        });
+
+        document.getElementById('viewpoint-go-btn').addEventListener('click', () => {
+            const viewpoint = (loadViewpoints()[getViewpointMapKey()] || []).find(v => v.name === viewpointSelect.value);
+            if (viewpoint) flyToViewpoint(viewpoint);
+        });
+
+        document.getElementById('viewpoint-delete-btn').addEventListener('click', () => {
+            const viewpoints = loadViewpoints();
+            const mapKey = getViewpointMapKey();
+            viewpoints[mapKey] = (viewpoints[mapKey] || []).filter(viewpoint => viewpoint.name !== viewpointSelect.value);
+            if (!viewpoints[mapKey].length) delete viewpoints[mapKey];
+            storeViewpoints(viewpoints);
+            renderViewpointOptions();
+        });
+
+        renderViewpointOptions();
+    }
+
+    /**
+     * Sets up the slope/passability overlay and the movement class editor.
+     */
+    function initializeAnalysisControls() {
+        const modeSelect = document.getElementById('analysis-mode');
+        const classSelect = document.getElementById('move-class-select');
+        const classEditor = document.getElementById('move-class-json');
+        const classStatus = document.getElementById('move-class-status');
+
+        function showMoveClasses(classes) {
+            classSelect.replaceChildren(...classes.map(moveClass => new Option(moveClass.name)));
+            classEditor.value = JSON.stringify(classes, null, 2);
+        }
+
+        document.getElementById('move-class-apply-btn').addEventListener('click', () => {
+            try {
+                const classes = parseMoveClasses(classEditor.value);
+                localStorage.setItem(MOVE_CLASS_STORAGE_KEY, JSON.stringify(classes));
+                moveClasses = classes;
+                const selected = classSelect.value;
+                showMoveClasses(classes);
+                if (classes.some(moveClass => moveClass.name === selected)) classSelect.value = selected;
+                classStatus.textContent = 'Saved';
+                scheduleAnalysisUpdate();
+            } catch (error) {
+                classStatus.textContent = `Invalid classes: ${error.message}`;
+            }
+        });
+
+        document.getElementById('move-class-reset-btn').addEventListener('click', () => {
+            localStorage.removeItem(MOVE_CLASS_STORAGE_KEY);
+            moveClasses = DEFAULT_MOVE_CLASSES;
+            showMoveClasses(moveClasses);
+            classStatus.textContent = 'Restored the defaults';
+            scheduleAnalysisUpdate();
+        });
+
+        modeSelect.addEventListener('change', () => {
+            classSelect.disabled = modeSelect.value !== 'passability';
+            scheduleAnalysisUpdate();
+        });
+
+        // Split view: drag the divider to move the boundary between original and mutated
+        const divider = document.getElementById('split-divider');
+        document.getElementById('split-view-btn').addEventListener('click', () => setSplitView(!splitViewActive));
+        divider.addEventListener('pointerdown', (event) => divider.setPointerCapture(event.pointerId));
+        divider.addEventListener('pointermove', (event) => {
+            if (!divider.hasPointerCapture(event.pointerId)) return;
+            const rect = canvasContainer.getBoundingClientRect();
+            splitPosition = Math.min(Math.max((event.clientX - rect.left) / rect.width, 0.02), 0.98);
+            divider.style.left = `${splitPosition * 100}%`;
+        });
+        classSelect.addEventListener('change', scheduleAnalysisUpdate);
+
+        moveClasses = loadMoveClasses();
+        showMoveClasses(moveClasses);
+        classSelect.disabled = true;
+
+        onTerrainChanged(() => {
+            if (modeSelect.value !== 'none') scheduleAnalysisUpdate();
+        });
+        onWaterChanged(() => {
+            if (modeSelect.value === 'passability') scheduleAnalysisUpdate();
+        });
+    }
+
+    /**
+     * Sets up the gameplay overlay toggles and the local layout JSON input.
+     */
+    function initializeOverlayControls() {
+        const layoutFileInput = document.getElementById('overlay-file');
+        const clearLayoutBtn = document.getElementById('overlay-clear-file-btn');
+
+        for (const id of ['overlay-start-toggle', 'overlay-boxes-toggle', 'overlay-metal-toggle', 'overlay-geo-toggle', 'overlay-labels-toggle']) {
+            document.getElementById(id).addEventListener('change', updateOverlayVisibility);
+        }
+
+        layoutFileInput.addEventListener('change', async () => {
+            const file = layoutFileInput.files[0];
+            if (!file) return;
+            try {
+                layoutOverride = JSON.parse(await file.text());
+                buildOverlays();
+            } catch (error) {
+                console.error("Could not load layout JSON:", error);
+                document.getElementById('overlay-summary').textContent = `Could not load ${file.name}: ${error.message}`;
+            }
+        });
+
+        clearLayoutBtn.addEventListener('click', () => {
+            layoutOverride = null;
+            layoutFileInput.value = '';
+            buildOverlays();
+        });
+
+        onTerrainChanged(placeOverlaysOnTerrain);
+        onWaterChanged(placeOverlaysOnTerrain);
+    }
+
+    /**
+     * Describes the current mutator chain and water level so a result can be reproduced.
+     */
+    function buildMutatorRecipe() {
+        return {
+            map: mapMetadata.fileName || mapMetadata.name || currentMapFileName,
+            mutators: mutatorChain.map(({ type, params, enabled }) => ({ type, params: { ...params }, enabled })),
+            waterLevel: {
+                visible: waterPlane.visible,
+                height: waterPlane.position.y,
+                // Whether 'height' params are absolute or measured from this water level
+                thresholdsLocked
+            },
+            // Brush edits can't be expressed as a recipe; flag them so nobody expects a match
+            sculpted: sculptEdited
+        };
+    }
+
+    /**
+     * Sets up the export panel that downloads the mutated heights and their recipe.
+     */
+    function initializeExportControls() {
+        const formatSelector = document.getElementById('export-format');
+        const recipeToggle = document.getElementById('export-recipe-toggle');
+        const exportBtn = document.getElementById('export-btn');
+        const exportInfo = document.getElementById('export-info');
+
+        exportBtn.addEventListener('click', async () => {
+            if (!mutatedHeightData) return;
+            const format = formatSelector.value;
+            const baseName = `${mapMetadata.fileName || mapMetadata.name || 'map'}_mutated`;
+            const output = {
+                format,
+                width: heightmapWidth,
+                height: heightmapHeight,
+                minHeight: mutatedMinHeight,
+                maxHeight: mutatedMaxHeight
+            };
+
+            exportBtn.disabled = true;
+            try {
+                output.fileName = `${baseName}${HEIGHTMAP_FORMATS[format]}`;
+                const blob = await encodeHeightmap(mutatedHeightData, heightmapWidth, heightmapHeight, format, mutatedMinHeight, mutatedMaxHeight);
+                downloadBlob(blob, output.fileName);
+
+                if (recipeToggle.checked) {
+                    const recipe = { ...buildMutatorRecipe(), output };
+                    const json = JSON.stringify(recipe, null, 2);
+                    downloadBlob(new Blob([json], { type: 'application/json' }), `${baseName}.recipe.json`);
+                }
+
+                exportInfo.textContent = `${heightmapWidth}x${heightmapHeight}, min ${mutatedMinHeight.toFixed(1)}, max ${mutatedMaxHeight.toFixed(1)}`;
+            } catch (error) {
+                console.error("Could not export heightmap:", error);
+                exportInfo.textContent = `Export failed: ${error.message}`;
+            } finally {
+                exportBtn.disabled = false;
+            }
+        });
+    }
+
+    /**
+     * Sets up the screenshot and turntable exports of the rendered scene.
+     */
+    function initializeImageExportControls() {
+        const sizeSelector = document.getElementById('image-size');
+        const screenshotBtn = document.getElementById('screenshot-btn');
+        const framesInput = document.getElementById('turntable-frames');
+        const formatSelector = document.getElementById('turntable-format');
+        const turntableBtn = document.getElementById('turntable-btn');
+        const imageExportInfo = document.getElementById('image-export-info');
+
+        const webmOption = formatSelector.querySelector('option[value="webm"]');
+        if (!canRecordWebm()) {
+            webmOption.disabled = true;
+            webmOption.textContent += ' (not supported)';
+        }
+
+        const getSize = () => sizeSelector.value.split('x').map(Number);
+        const getBaseName = () => mapMetadata.fileName || mapMetadata.name || 'map';
+
+        // Runs one export at a time with both buttons disabled, reporting failures in the info line
+        async function runExport(task) {
+            if (!terrainMesh) return;
+            screenshotBtn.disabled = turntableBtn.disabled = true;
+            try {
+                await task();
+            } catch (error) {
+                console.error("Could not export image:", error);
+                imageExportInfo.textContent = `Export failed: ${error.message}`;
+            } finally {
+                screenshotBtn.disabled = turntableBtn.disabled = false;
+            }
+        }
+
+        screenshotBtn.addEventListener('click', () => runExport(async () => {
+            const [width, height] = getSize();
+            const canvas = renderShot(createShotCamera(width, height), width, height);
+            downloadBlob(await canvasToPngBlob(canvas), `${getBaseName()}_${width}x${height}.png`);
+            imageExportInfo.textContent = `Saved ${width}x${height} screenshot`;
+        }));
+
+        turntableBtn.addEventListener('click', () => runExport(async () => {
+            const [width, height] = getSize();
+            const frameCount = Math.min(Math.max(Math.round(Number(framesInput.value)) || 72, 4), 720);
+            framesInput.value = frameCount;
+            const baseName = `${getBaseName()}_turntable`;
+            const showProgress = done => { imageExportInfo.textContent = `Rendering frame ${done}/${frameCount}...`; };
+
+            if (formatSelector.value === 'webm') {
+                downloadBlob(await recordTurntableWebm(width, height, frameCount, showProgress), `${baseName}.webm`);
+            } else {
+                const digits = Math.max(3, String(frameCount).length);
+                const files = [];
+                await renderTurntable(width, height, frameCount, async (canvas, index) => {
+                    const name = `${baseName}_${String(index + 1).padStart(digits, '0')}.png`;
+                    files.push({ name, blob: await canvasToPngBlob(canvas) });
+                    showProgress(index + 1);
+                });
+                imageExportInfo.textContent = 'Packing frames...';
+                downloadBlob(await createStoredZip(files), `${baseName}.zip`);
+            }
+            imageExportInfo.textContent = `Saved ${frameCount} frame turntable at ${width}x${height}`;
+        }));
+    }
+
+    /**
+     * Updates the parameter ranges of existing mutator rows after the map height range changed.
+     */
+    function refreshMutatorRanges() {
+        const context = getMutatorContext();
+        mutatorContainer.querySelectorAll('.mutator-row').forEach(row => {
+            const mutator = mutatorChain.find(m => m.id === parseInt(row.dataset.id));
+            if (!mutator) return;
+            for (const param of MUTATOR_TYPES[mutator.type].params) {
+                const slider = row.querySelector(`.param-slider[data-param="${param.key}"]`);
+                slider.min = resolveParamValue(param.min, context);
+                slider.max = resolveParamValue(param.max, context);
+                // The slider clamps its value to the old range, so restore it from the state
+                slider.value = mutator.params[param.key];
+            }
+        });
+    }
+
+    function formatParamValue(value, step) {
+        const decimals = (String(step).split('.')[1] || '').length;
+        return value.toFixed(decimals);
+    }
+
+    // Function to create the HTML for a new mutator row from its type's parameter list
+    function createMutatorUI(mutator) {
+        const type = MUTATOR_TYPES[mutator.type];
+        const context = getMutatorContext();
+        const div = document.createElement('div');
+        div.className = 'control-group mutator-row';
+        div.classList.toggle('disabled', !mutator.enabled);
+        div.dataset.id = mutator.id; // Assign a unique ID
+
+        const paramControls = type.params.map(param => {
+            const value = mutator.params[param.key];
+            const text = formatParamValue(value, param.step);
+            return `
+            <label>${param.label}:</label>
+            <input type="range" class="param-slider" data-param="${param.key}" min="${resolveParamValue(param.min, context)}" max="${resolveParamValue(param.max, context)}" value="${value}" step="${param.step}">
+            <input class="mutator-value param-value" data-param="${param.key}" value="${text}" placeholder="${text}">`;
+        }).join('');
+
+        div.innerHTML = `
+            <span class="drag-handle" title="Drag to reorder">&#8801;</span>
+            <input type="checkbox" class="enable-mutator-toggle" title="Enable this step" ${mutator.enabled ? 'checked' : ''}>
+            <label class="mutator-type-label">${type.label}</label>
+            ${paramControls}
+            <button class="remove-mutator-btn">X</button>
+        `;
+        return div;
+    }
+
+    function renderMutatorRows() {
+        mutatorContainer.innerHTML = '';
+        mutatorChain.forEach(mutator => mutatorContainer.appendChild(createMutatorUI(mutator)));
+    }
+
+    /**
+     * Replaces the whole mutator chain (state and UI), e.g. when restoring a shared link.
+     */
+    function setMutatorChain(mutators) {
+        mutatorChain = mutators.filter(m => MUTATOR_TYPES[m.type]).map(normalizeMutator);
+        renderMutatorRows();
+        applyMutatorChain();
+        commitChainEdit();
+    }
+
+    // --- CHAIN HISTORY ---
+    // Every finished edit (add, remove, parameter change, reorder, enable toggle) records a
+    // snapshot of the chain. Slider drags are recorded once, when the slider is released.
+
+    function snapshotChain() {
+        return mutatorChain.map(m => ({ ...m, params: { ...m.params } }));
+    }
+
+    function updateHistoryButtons() {
+        document.getElementById('undo-btn').disabled = !chainHistory.undo.length;
+        document.getElementById('redo-btn').disabled = !chainHistory.redo.length;
+    }
+
+    /**
+     * Records the current chain as a new history entry, unless nothing changed since the last one.
+     */
+    function commitChainEdit() {
+        const snapshot = snapshotChain();
+        if (JSON.stringify(snapshot) === JSON.stringify(chainHistory.current)) return;
+        chainHistory.undo.push(chainHistory.current);
+        chainHistory.redo = [];
+        chainHistory.current = snapshot;
+        updateHistoryButtons();
+    }
+
+    // Forgets all history and takes the current chain as the starting point
+    function resetChainHistory() {
+        chainHistory.undo = [];
+        chainHistory.redo = [];
+        chainHistory.current = snapshotChain();
+        updateHistoryButtons();
+    }
+
+    function restoreChainSnapshot(snapshot) {
+        chainHistory.current = snapshot;
+        mutatorChain = snapshot.map(m => ({ ...m, params: { ...m.params } }));
+        renderMutatorRows();
+        applyMutatorChain();
+        scheduleUrlUpdate();
+        updateHistoryButtons();
+    }
+
+    function undoChainEdit() {
+        // Pick up a parameter that is still being typed before stepping back
+        commitChainEdit();
+        if (!chainHistory.undo.length) return;
+        chainHistory.redo.push(chainHistory.current);
+        restoreChainSnapshot(chainHistory.undo.pop());
+    }
+
+    function redoChainEdit() {
+        if (!chainHistory.redo.length) return;
+        chainHistory.undo.push(chainHistory.current);
+        restoreChainSnapshot(chainHistory.redo.pop());
+    }
+
+    // --- MUTATOR PRESETS ---
+    // Presets are named chains kept in localStorage and exported as { presets: [...] }:
+    //   { name, relative, mutators: [{ type, params, enabled }] }
+    // In a relative preset, 'height' params are stored as a fraction of the map's height range
+    // (0 = lowest point, 1 = highest) so the preset carries over to maps with other ranges and water levels.
+    const PRESET_STORAGE_KEY = 'bar3dMapViewer.mutatorPresets';
+
+    function loadPresets() {
+        try {
+            return JSON.parse(localStorage.getItem(PRESET_STORAGE_KEY)) || [];
+        } catch (error) {
+            console.warn("Could not read saved presets:", error);
+            return [];
+        }
+    }
+
+    function storePresets(presets) {
+        try {
+            localStorage.setItem(PRESET_STORAGE_KEY, JSON.stringify(presets));
+        } catch (error) {
+            console.warn("Could not save presets:", error);
+        }
+    }
+
+    // Converts every 'height' param of a chain with the given function, leaving the rest as they are
+    function mapHeightParams(mutators, convert) {
+        return mutators
+            .filter(m => MUTATOR_TYPES[m.type])
+            .map(({ type, params, enabled }) => {
+                const converted = { ...params };
+                for (const param of MUTATOR_TYPES[type].params) {
+                    if (param.kind === 'height' && Number.isFinite(parseFloat(params[param.key]))) {
+                        converted[param.key] = convert(parseFloat(params[param.key]));
+                    }
+                }
+                return { type, params: converted, enabled: enabled !== false };
+            });
+    }
+
+    /**
+     * Captures the current chain as a preset, optionally with thresholds relative to the map's height range.
+     */
+    function createPreset(name, relative) {
+        const { waterLevel } = getMutatorContext();
+        const range = (MAX_MAP_HEIGHT - MIN_MAP_HEIGHT) || 1;
+        const mutators = mutatorChain.map(({ type, params, enabled }) => ({ type, params: { ...params }, enabled }));
+        return {
+            name,
+            relative,
+            mutators: relative
+                ? mapHeightParams(mutators, value => parseFloat(((waterLevel + value - MIN_MAP_HEIGHT) / range).toFixed(4)))
+                : mutators
+        };
+    }
+
+    // The chain a preset produces on the currently loaded map
+    function resolvePreset(preset) {
+        if (!preset.relative) return preset.mutators;
+        const { waterLevel } = getMutatorContext();
+        return mapHeightParams(preset.mutators, fraction => MIN_MAP_HEIGHT + fraction * (MAX_MAP_HEIGHT - MIN_MAP_HEIGHT) - waterLevel);
+    }
+
+    /**
+     * Reads presets from an imported file: a preset export, a single preset, or an exported recipe.
+     */
+    function readPresetFile(json, fileName) {
+        const list = Array.isArray(json) ? json : (json.presets || [json]);
+        return list
+            .filter(preset => Array.isArray(preset?.mutators))
+            .map((preset, i) => ({
+                name: String(preset.name || (list.length > 1 ? `${fileName} ${i + 1}` : fileName)),
+                relative: preset.relative === true,
+                mutators: preset.mutators
+            }));
+    }
+
+    function initializeMutatorControls() {
+        const container = mutatorContainer;
+        const addButtons = document.getElementById('add-mutator-buttons');
+        const resetTerrainBtn = document.getElementById('reset-terrain-btn');
+        let draggedRow = null;
+
+        // Function to add a new mutator to the state and UI
+        function addMutator(type) {
+            const newMutator = normalizeMutator({ type });
+            mutatorChain.push(newMutator);
+            const mutatorElement = createMutatorUI(newMutator);
+            container.appendChild(mutatorElement);
+            applyMutatorChain();
+            scheduleUrlUpdate();
+            commitChainEdit();
+        }
+
+        // One toolbar button per registered mutator type
+        for (const [type, { buttonLabel }] of Object.entries(MUTATOR_TYPES)) {
+            const button = document.createElement('button');
+            button.textContent = `+ ${buttonLabel}`;
+            button.addEventListener('click', () => addMutator(type));
+            addButtons.appendChild(button);
+        }
+
+        if (initialViewState.mutators) setMutatorChain(initialViewState.mutators);
+        resetChainHistory();
+
+        // Reset terrain and clear all mutators
+        resetTerrainBtn.addEventListener('click', () => {
+            mutatorChain = [];
+            container.innerHTML = '';
+            applyMutatorChain(); // Re-applies the base image data
+            scheduleUrlUpdate();
+            commitChainEdit();
+        });
+
+        document.getElementById('undo-btn').addEventListener('click', undoChainEdit);
+        document.getElementById('redo-btn').addEventListener('click', redoChainEdit);
+
+        document.addEventListener('keydown', (event) => {
+            if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+            // Leave text fields to their own undo
+            if (event.target.matches('input:not([type="range"]):not([type="checkbox"]), textarea')) return;
+
+            const key = event.key.toLowerCase();
+            if (key === 'z' && !event.shiftKey) {
+                undoChainEdit();
+            } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+                redoChainEdit();
+            } else {
+                return;
+            }
+            event.preventDefault();
+        });
+
+        // Use event delegation to handle all input changes and removals
+        container.addEventListener('input', (event) => {
+            const target = event.target;
+            if (!target.matches('.param-slider, .param-value')) return;
+
+            const row = target.closest('.mutator-row');
+            const id = parseInt(row.dataset.id);
+            const mutator = mutatorChain.find(m => m.id === id);
+            if (!mutator) return;
+
+            const key = target.dataset.param;
+            const param = MUTATOR_TYPES[mutator.type].params.find(p => p.key === key);
+            const slider = row.querySelector(`.param-slider[data-param="${key}"]`);
+            const valueInput = row.querySelector(`.param-value[data-param="${key}"]`);
+
+            if (target === slider) {
+                //Slider event
+                mutator.params[key] = parseFloat(slider.value);
+                // Update UI text
+                valueInput.value = formatParamValue(mutator.params[key], param.step);
+            } else {
+                //Number event
+                const value = parseFloat(valueInput.value || valueInput.placeholder);
+                if (!Number.isFinite(value)) return;
+                mutator.params[key] = value;
+                // Update Slider Position
+                slider.value = value;
+            }
+
+            applyMutatorChain();
+            scheduleUrlUpdate();
+        });
+
+        // 'change' fires once a slider is released or a value is confirmed
+        container.addEventListener('change', (event) => {
+            if (event.target.matches('.enable-mutator-toggle')) {
+                const row = event.target.closest('.mutator-row');
+                const mutator = mutatorChain.find(m => m.id === parseInt(row.dataset.id));
+                if (!mutator) return;
+                mutator.enabled = event.target.checked;
+                row.classList.toggle('disabled', !mutator.enabled);
+                applyMutatorChain();
+                scheduleUrlUpdate();
+            }
+            commitChainEdit();
+        });
+
+        container.addEventListener('click', (event) => {
+            if (event.target.matches('.remove-mutator-btn')) {
+                const row = event.target.closest('.mutator-row');
+                const id = parseInt(row.dataset.id);
+
+                // Remove from state and UI
+                mutatorChain = mutatorChain.filter(m => m.id !== id);
+                row.remove();
+
+                applyMutatorChain();
+                scheduleUrlUpdate();
+                commitChainEdit();
+            }
+        });
+
+        // Rows are only draggable by their handle, so the sliders keep working normally
+        container.addEventListener('pointerdown', (event) => {
+            if (event.target.matches('.drag-handle')) event.target.closest('.mutator-row').draggable = true;
+        });
+        container.addEventListener('pointerup', () => {
+            if (!draggedRow) container.querySelectorAll('.mutator-row[draggable="true"]').forEach(row => { row.draggable = false; });
+        });
+
+        container.addEventListener('dragstart', (event) => {
+            draggedRow = event.target.closest('.mutator-row');
+            if (!draggedRow) return;
+            event.dataTransfer.effectAllowed = 'move';
+            event.dataTransfer.setData('text/plain', draggedRow.dataset.id);
+            draggedRow.classList.add('dragging');
+        });
+
+        // Move the dragged row live; the chain itself is reordered once the drag ends
+        container.addEventListener('dragover', (event) => {
+            if (!draggedRow) return;
+            event.preventDefault();
+            const row = event.target.closest('.mutator-row');
+            if (!row || row === draggedRow) return;
+            const { top, height } = row.getBoundingClientRect();
+            container.insertBefore(draggedRow, event.clientY < top + height / 2 ? row : row.nextSibling);
+        });
+
+        container.addEventListener('drop', (event) => event.preventDefault());
+
+        container.addEventListener('dragend', () => {
+            if (!draggedRow) return;
+            draggedRow.classList.remove('dragging');
+            draggedRow.draggable = false;
+            draggedRow = null;
+
+            const order = [...container.querySelectorAll('.mutator-row')].map(row => parseInt(row.dataset.id));
+            mutatorChain.sort((a, b) => order.indexOf(a.id) - order.indexOf(b.id));
+            applyMutatorChain();
+            scheduleUrlUpdate();
+            commitChainEdit();
+        });
+    }
+
+    /**
+     * Sets a dynamic range for the water slider based on the current map height.
+     */
+    function updateWaterControlRanges() {
+        const waterSlider = document.getElementById('water-level-slider');
+        waterSlider.min = MIN_MAP_HEIGHT - 200; // Allow going below original min
+        waterSlider.max = MAX_MAP_HEIGHT + 500; // Allow going well above original max
+        // Re-apply the value, which the browser clamps to whatever range the slider had before
+        if (waterPlane) waterSlider.value = waterPlane.position.y;
+    }
+
+    /**
+     * Moves the water plane and keeps the slider and number input in sync with it.
+     */
+    function setWaterLevel(height, source) {
+        const waterSlider = document.getElementById('water-level-slider');
+        const waterDisplay = document.getElementById('water-level-display');
+        waterPlane.position.y = height;
+        if (source !== waterSlider) waterSlider.value = height.toFixed(0);
+        if (source !== waterDisplay) waterDisplay.value = height.toFixed(0);
+        waterChangeListeners.forEach(listener => listener());
+    }
+
+    function setWaterVisible(visible) {
+        waterPlane.visible = visible;
+        document.getElementById('water-toggle').checked = visible;
+        waterChangeListeners.forEach(listener => listener());
+    }
+
+    /**
+ * Sets up event listeners for the water level controls.
+ */
+    function initializeWaterControls() {
+        const waterToggle = document.getElementById('water-toggle');
+        const waterSlider = document.getElementById('water-level-slider');
+        const waterDisplay = document.getElementById('water-level-display');
+        const lockToggle = document.getElementById('lock-thresholds-toggle');
+
+        updateWaterControlRanges();
+        setWaterLevel(0); // Set initial value
+        if (initialViewState.water) {
+            setWaterVisible(initialViewState.water.visible);
+            setWaterLevel(initialViewState.water.height);
+            thresholdsLocked = initialViewState.water.locked;
+            lockToggle.checked = thresholdsLocked;
+        }
+
+        // Toggle water visibility
+        waterToggle.addEventListener('change', () => {
+            setWaterVisible(waterToggle.checked);
+            scheduleUrlUpdate();
+        });
+
+        // Update water height from slider
+        waterSlider.addEventListener('input', () => {
+            setWaterLevel(parseFloat(waterSlider.value), waterSlider);
+            scheduleUrlUpdate();
+        });
+
+        waterDisplay.addEventListener('input', () => {
+            setWaterLevel(parseFloat(waterDisplay.value || 0), waterDisplay);
+            scheduleUrlUpdate();
+        })
+
+        lockToggle.addEventListener('change', () => {
+            thresholdsLocked = lockToggle.checked;
+            refreshMutatorRanges();
+            applyMutatorChain();
+            scheduleUrlUpdate();
+        });
+
+        // Thresholds follow the water unless locked, and the statistics are taken at the water level
+        onWaterChanged(() => {
+            if (!thresholdsLocked) refreshMutatorRanges();
+            applyMutatorChain();
+        });
+        onTerrainChanged(updateWaterStats);
+    }
+
+    /**
+     * Fills in the water coverage readout: the current terrain, plus the original map and the
+     * change made by each enabled mutator.
+     */
+    function updateWaterStats() {
+        const table = document.getElementById('water-stats-table');
+        if (!mutatedHeightData) return;
+
+        const waterLevel = getWaterLevel();
+        const mapArea = mapMetadata.width * mapMetadata.height;
+        const current = computeWaterStats(mutatedHeightData, waterLevel);
+        const percent = fraction => `${(fraction * 100).toFixed(1)}%`;
+        const signed = (value, text) => `${value >= 0 ? '+' : ''}${text}`;
+
+        document.getElementById('water-stats-summary').textContent =
+            `${percent(current.underwaterFraction)} underwater, mean depth ${current.meanDepth.toFixed(0)}, ` +
+            `sea ${(current.underwaterFraction * mapArea).toFixed(1)} / land ${((1 - current.underwaterFraction) * mapArea).toFixed(1)} sq. units`;
+
+        // The steps are only listed while they match the chain that is shown
+        const enabledMutators = mutatorChain.filter(m => m.enabled);
+        const rows = [];
+        if (chainWaterStats.length === enabledMutators.length + 1) {
+            rows.push(['Original', percent(chainWaterStats[0].underwaterFraction), chainWaterStats[0].meanDepth.toFixed(0)]);
+            enabledMutators.forEach((mutator, i) => {
+                const before = chainWaterStats[i], after = chainWaterStats[i + 1];
+                const fractionChange = after.underwaterFraction - before.underwaterFraction;
+                const depthChange = after.meanDepth - before.meanDepth;
+                rows.push([
+                    MUTATOR_TYPES[mutator.type].label,
+                    signed(fractionChange, percent(fractionChange)),
+                    signed(depthChange, depthChange.toFixed(0))
+                ]);
+            });
+            if (sculptEdited) {
+                const before = chainWaterStats[chainWaterStats.length - 1];
+                const fractionChange = current.underwaterFraction - before.underwaterFraction;
+                const depthChange = current.meanDepth - before.meanDepth;
+                rows.push(['Sculpting', signed(fractionChange, percent(fractionChange)), signed(depthChange, depthChange.toFixed(0))]);
+            }
+        }
+
+        table.tBodies[0].replaceChildren(...rows.map(cells => {
+            const row = document.createElement('tr');
+            for (const text of cells) row.insertCell().textContent = text;
+            return row;
+        }));
+        table.hidden = rows.length < 2;
+    }
+
+    // --- 3D OBJECTS & COORDINATE MAPPING ---
+    /**
+     * Height of the displayed (mutated and sculpted) terrain at world x/z, or of another
+     * height array laid out like the heightmap, such as baseHeightData.
+     */
+    function getHeightAt(x, z, heights = mutatedHeightData) {
+        if (!heights) return 0;
+        return sampleHeight(heights, x, z);
+    }
+
+    function worldTo3dPosition(x, y, z) {
+        return new THREE.Vector3(x, y, z);
+    }
+
+    /**
+     * Gives a line or point object a new geometry through `points`. setFromPoints on the old
+     * geometry would replace its position attribute and leave the previous GPU buffer behind.
+     */
+    function replaceGeometryPoints(object, points) {
+        object.geometry.dispose();
+        object.geometry = new THREE.BufferGeometry().setFromPoints(points);
+    }
+
+    /**
+     * Returns the index of the last sample at or before `frame`, or -1 if there is none.
+     */
+    function findSampleIndex(timeline, frame) {
+        let lo = 0, hi = timeline.length - 1, found = -1;
+        while (lo <= hi) {
+            const mid = (lo + hi) >> 1;
+            if (timeline[mid].frame <= frame) {
+                found = mid;
+                lo = mid + 1;
+            } else {
+                hi = mid - 1;
+            }
+        }
+        return found;
+    }
+
+    /**
+     * Interpolates a unit's position at the given frame.
+     * Returns null outside the unit's lifetime so it can be hidden.
+     */
+    function getInterpolatedPosition(unitId, frame) {
+        const timeline = unitTimelines[unitId]?.data;
+        if (!timeline || timeline.length === 0) return null;
+        if (frame < timeline[0].frame || frame > timeline[timeline.length - 1].frame) return null;
+
+        const i = findSampleIndex(timeline, frame);
+        const start = timeline[i];
+        const end = timeline[Math.min(i + 1, timeline.length - 1)];
+        if (start.frame === frame || start === end) return start;
+        const progress = (frame - start.frame) / (end.frame - start.frame);
+
+        const x = start.x + (end.x - start.x) * progress;
+        const y = start.y + (end.y - start.y) * progress;
+        const z = start.z + (end.z - start.z) * progress;
+
+        return { x, y, z }
+    }
+
+    // --- REPLAY PLAYBACK ---
+
+    // A soft round dot shared by every unit marker; the team color is applied per material.
+    function createMarkerTexture() {
+        const size = 64;
+        const canvas = document.createElement('canvas');
+        canvas.width = canvas.height = size;
+        const ctx = canvas.getContext('2d');
+        ctx.beginPath();
+        ctx.arc(size / 2, size / 2, size / 2 - 4, 0, Math.PI * 2);
+        ctx.fillStyle = '#ffffff';
+        ctx.fill();
+        ctx.lineWidth = 4;
+        ctx.strokeStyle = '#000000';
+        ctx.stroke();
+        return new THREE.CanvasTexture(canvas);
+    }
+
+    function getMarkerTexture() {
+        markerTexture ??= createMarkerTexture();
+        return markerTexture;
+    }
+
+    function getTeamMaterial(teamId) {
+        if (!unitMarkerMaterials[teamId]) {
+            unitMarkerMaterials[teamId] = new THREE.SpriteMaterial({
+                map: getMarkerTexture(),
+                color: TEAM_COLORS[teamId] ?? TEAM_COLORS.default,
+                sizeAttenuation: false
+            });
+        }
+        return unitMarkerMaterials[teamId];
+    }
+
+    /**
+     * Removes the replay's markers and frees their team materials. The shared texture is kept.
+     */
+    function disposeReplayMarkers() {
+        if (unitMarkerGroup) {
+            scene.remove(unitMarkerGroup);
+            unitMarkerGroup = null;
+        }
+        for (const teamId in unitMarkerMaterials) unitMarkerMaterials[teamId].dispose();
+        unitMarkerMaterials = {};
+        unitSprites = {};
+    }
+
+    /**
+     * Removes any previously loaded replay and creates one marker per unit.
+     */
+    function loadReplay({ timelines, first, last }) {
+        disposeReplayMarkers();
+        unitMarkerGroup = new THREE.Group();
+        unitTimelines = timelines;
+        minFrame = first;
+        maxFrame = last;
+        currentFrame = minFrame;
+
+        for (const unitId in unitTimelines) {
+            const sprite = new THREE.Sprite(getTeamMaterial(unitTimelines[unitId].team_id));
+            sprite.scale.set(UNIT_MARKER_SIZE, UNIT_MARKER_SIZE, 1);
+            sprite.visible = false;
+            unitSprites[unitId] = sprite;
+            unitMarkerGroup.add(sprite);
+        }
+        scene.add(unitMarkerGroup);
+    }
+
+    /**
+     * Drops the loaded replay and resets the timeline, e.g. when another map is loaded.
+     */
+    function clearReplay() {
+        disposeReplayMarkers();
+        unitTimelines = {};
+        minFrame = Infinity;
+        maxFrame = -Infinity;
+        currentFrame = 0;
+        setPlaying(false);
+
+        const timeSlider = document.getElementById('time-slider');
+        timeSlider.min = timeSlider.max = timeSlider.value = 0;
+        timeSlider.disabled = true;
+        document.getElementById('play-pause-btn').disabled = true;
+        document.getElementById('replay-file-input').value = '';
+        document.getElementById('time-display').textContent = `${formatFrameTime(0)} / ${formatFrameTime(0)}`;
+        document.getElementById('sprite-count-display').textContent = 0;
+    }
+
+    /**
+     * Moves every unit marker to its position at the current frame.
+     */
+    function updateUnitPositions() {
+        let visibleCount = 0;
+        for (const unitId in unitSprites) {
+            const sprite = unitSprites[unitId];
+            const pos = getInterpolatedPosition(unitId, currentFrame);
+            sprite.visible = !!pos;
+            if (pos) {
+                sprite.position.set(pos.x, pos.y + UNIT_MARKER_LIFT, pos.z);
+                visibleCount++;
+            }
+        }
+        return visibleCount;
+    }
+
+    // --- SCULPTING ---
+    const BRUSH_RATE = 10; // Brush applications per second at the given strength
+    const BRUSH_RING_SEGMENTS = 64;
+    const BRUSH_COLORS = { raise: 0x33cc33, lower: 0xff4d4d, smooth: 0x4d94ff, flatten: 0xffff4d };
+
+    /**
+     * Returns the point on the terrain under the pointer, or null.
+     */
+    function pickTerrainPoint(event) {
+        if (!terrainMesh) return null;
+        const rect = renderer.domElement.getBoundingClientRect();
+        const pointer = new THREE.Vector2(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        raycaster.setFromCamera(pointer, camera);
+        const hit = raycaster.intersectObject(terrainMesh, true)[0];
+        return hit ? hit.point : null;
+    }
+
+    function getBrushSettings() {
+        return {
+            mode: document.getElementById('brush-mode').value,
+            radius: parseFloat(document.getElementById('brush-radius').value),
+            strength: parseFloat(document.getElementById('brush-strength').value),
+            falloff: parseFloat(document.getElementById('brush-falloff').value)
+        };
+    }
+
+    // Brush influence at a normalized distance t from the center (0 = center, 1 = edge).
+    // Falloff 0 is a hard-edged disc, 1 a smooth cosine bump.
+    function brushWeight(t, falloff) {
+        if (t >= 1) return 0;
+        const smooth = 0.5 * (1 + Math.cos(Math.PI * t));
+        return 1 - falloff + falloff * smooth;
+    }
+
+    function createBrushRing() {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(BRUSH_RING_SEGMENTS * 3), 3));
+        const material = new THREE.LineBasicMaterial({ color: 0xffffff, depthTest: false, transparent: true });
+        brushRing = new THREE.LineLoop(geometry, material);
+        brushRing.frustumCulled = false;
+        brushRing.renderOrder = 1;
+        brushRing.visible = false;
+        scene.add(brushRing);
+    }
+
+    /**
+     * Drapes the brush footprint over the terrain around the given point.
+     */
+    function updateBrushRing(point, radius, mode) {
+        const positions = brushRing.geometry.attributes.position;
+        for (let i = 0; i < BRUSH_RING_SEGMENTS; i++) {
+            const angle = i / BRUSH_RING_SEGMENTS * Math.PI * 2;
+            const x = point.x + Math.cos(angle) * radius;
+            const z = point.z + Math.sin(angle) * radius;
+            positions.setXYZ(i, x, sampleHeight(mutatedHeightData, x, z) + 5, z);
+        }
+        positions.needsUpdate = true;
+        brushRing.material.color.setHex(BRUSH_COLORS[mode]);
+        brushRing.visible = true;
+    }
+
+    /**
+     * Paints one application of the current brush at the stroke position into the sculpt layer.
+     */
+    function applyBrushDab(delta) {
+        const { mode, radius, strength, falloff } = getBrushSettings();
+        const rate = Math.min(delta, 0.1) * BRUSH_RATE;
+
+        // Brush footprint in heightmap pixels
+        const scaleX = (heightmapWidth - 1) / mapWidthWorld;
+        const scaleZ = (heightmapHeight - 1) / mapHeightWorld;
+        const centerX = brushStroke.x * scaleX;
+        const centerZ = brushStroke.z * scaleZ;
+        const x0 = Math.max(0, Math.floor(centerX - radius * scaleX));
+        const x1 = Math.min(heightmapWidth - 1, Math.ceil(centerX + radius * scaleX));
+        const z0 = Math.max(0, Math.floor(centerZ - radius * scaleZ));
+        const z1 = Math.min(heightmapHeight - 1, Math.ceil(centerZ + radius * scaleZ));
+        if (x0 > x1 || z0 > z1) return;
+
+        // Smoothing reads the neighbours, so every target is computed before anything changes
+        const spanX = x1 - x0 + 1;
+        const targets = new Float32Array(spanX * (z1 - z0 + 1));
+        if (mode === 'smooth') {
+            for (let z = z0; z <= z1; z++) {
+                for (let x = x0; x <= x1; x++) {
+                    let sum = 0, count = 0;
+                    for (let dz = -1; dz <= 1; dz++) {
+                        for (let dx = -1; dx <= 1; dx++) {
+                            const nx = Math.min(Math.max(x + dx, 0), heightmapWidth - 1);
+                            const nz = Math.min(Math.max(z + dz, 0), heightmapHeight - 1);
+                            sum += mutatedHeightData[nz * heightmapWidth + nx];
+                            count++;
+                        }
+                    }
+                    targets[(z - z0) * spanX + (x - x0)] = sum / count;
+                }
+            }
+        } else if (mode === 'flatten') {
+            targets.fill(brushStroke.flattenHeight);
+        }
+
+        for (let z = z0; z <= z1; z++) {
+            for (let x = x0; x <= x1; x++) {
+                const distance = Math.hypot((x - centerX) / scaleX, (z - centerZ) / scaleZ);
+                const weight = brushWeight(distance / radius, falloff);
+                if (weight <= 0) continue;
+
+                const i = z * heightmapWidth + x;
+                let change;
+                if (mode === 'raise') change = strength * weight * rate;
+                else if (mode === 'lower') change = -strength * weight * rate;
+                else change = (targets[(z - z0) * spanX + (x - x0)] - mutatedHeightData[i]) * Math.min(1, strength / 100 * weight * rate);
+
+                sculptDeltaData[i] += change;
+                mutatedHeightData[i] += change;
+                mutatedMinHeight = Math.min(mutatedMinHeight, mutatedHeightData[i]);
+                mutatedMaxHeight = Math.max(mutatedMaxHeight, mutatedHeightData[i]);
+            }
+        }
+
+        sculptEdited = true;
+        updateTerrainGeometry(mutatedHeightData, { x0, z0, x1, z1 });
+        notifyTerrainChanged();
+    }
+
+    // --- MEASUREMENT ---
+    const PROFILE_SAMPLES_MAX = 1000;
+
+    function getWaterLevel() {
+        return waterPlane.position.y;
+    }
+
+    /**
+     * Shows the coordinates and heights under the pointer.
+     */
+    function updateHeightProbe(point) {
+        const probe = document.getElementById('probe-display');
+        if (!point) {
+            probe.hidden = true;
+            return;
+        }
+
+        const height = getHeightAt(point.x, point.z);
+        const original = getHeightAt(point.x, point.z, baseHeightData);
+        const depth = getWaterLevel() - height;
+        const waterText = !waterPlane.visible ? 'water hidden'
+            : depth > 0 ? `${depth.toFixed(1)} below water` : `${(-depth).toFixed(1)} above water`;
+
+        probe.textContent = [
+            `X: ${point.x.toFixed(0)}  Z: ${point.z.toFixed(0)}`,
+            `Height: ${height.toFixed(1)}`,
+            `Original: ${original.toFixed(1)}`,
+            waterText
+        ].join('\n');
+        probe.hidden = false;
+    }
+
+    /**
+     * Samples the ruler path about once per heightmap pixel.
+     * Returns the samples and the horizontal (2D) and along-the-surface (3D) lengths in elmos.
+     */
+    function sampleRulerPath() {
+        const segmentLengths = [];
+        for (let i = 1; i < rulerPoints.length; i++) {
+            segmentLengths.push(Math.hypot(rulerPoints[i].x - rulerPoints[i - 1].x, rulerPoints[i].z - rulerPoints[i - 1].z));
+        }
+        const distance2d = segmentLengths.reduce((sum, length) => sum + length, 0);
+        const step = Math.max(mapWidthWorld / (heightmapWidth - 1), distance2d / PROFILE_SAMPLES_MAX);
+
+        const samples = [];
+        const addSample = (distance, x, z) => samples.push({
+            distance, x, z,
+            height: getHeightAt(x, z),
+            original: getHeightAt(x, z, baseHeightData)
+        });
+
+        let travelled = 0;
+        segmentLengths.forEach((length, i) => {
+            const start = rulerPoints[i], end = rulerPoints[i + 1];
+            const count = Math.max(1, Math.ceil(length / step));
+            for (let k = 0; k < count; k++) {
+                const t = k / count;
+                addSample(travelled + length * t, start.x + (end.x - start.x) * t, start.z + (end.z - start.z) * t);
+            }
+            travelled += length;
+        });
+        const last = rulerPoints[rulerPoints.length - 1];
+        addSample(travelled, last.x, last.z);
+
+        let distance3d = 0;
+        for (let i = 1; i < samples.length; i++) {
+            distance3d += Math.hypot(samples[i].distance - samples[i - 1].distance, samples[i].height - samples[i - 1].height);
+        }
+        return { samples, distance2d, distance3d };
+    }
+
+    function drawElevationProfile(canvas, samples) {
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+        const padding = 30;
+        ctx.clearRect(0, 0, width, height);
+
+        const totalDistance = samples[samples.length - 1].distance || 1;
+        let minHeight = Infinity, maxHeight = -Infinity;
+        for (const sample of samples) {
+            minHeight = Math.min(minHeight, sample.height, sample.original);
+            maxHeight = Math.max(maxHeight, sample.height, sample.original);
+        }
+        if (waterPlane.visible) {
+            minHeight = Math.min(minHeight, getWaterLevel());
+            maxHeight = Math.max(maxHeight, getWaterLevel());
+        }
+        const range = (maxHeight - minHeight) || 1;
+        const toX = (distance) => padding + distance / totalDistance * (width - padding * 2);
+        const toY = (h) => height - padding - (h - minHeight) / range * (height - padding * 2);
+
+        // Mutated terrain as a filled silhouette
+        ctx.beginPath();
+        ctx.moveTo(toX(0), toY(minHeight));
+        samples.forEach(sample => ctx.lineTo(toX(sample.distance), toY(sample.height)));
+        ctx.lineTo(toX(totalDistance), toY(minHeight));
+        ctx.closePath();
+        ctx.fillStyle = 'rgba(97, 218, 251, 0.35)';
+        ctx.fill();
+        ctx.strokeStyle = '#61dafb';
+        ctx.stroke();
+
+        // Original terrain for comparison
+        ctx.beginPath();
+        samples.forEach((sample, i) => ctx[i ? 'lineTo' : 'moveTo'](toX(sample.distance), toY(sample.original)));
+        ctx.setLineDash([4, 4]);
+        ctx.strokeStyle = '#cccccc';
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        if (waterPlane.visible) {
+            ctx.beginPath();
+            ctx.moveTo(toX(0), toY(getWaterLevel()));
+            ctx.lineTo(toX(totalDistance), toY(getWaterLevel()));
+            ctx.strokeStyle = '#42a5f5';
+            ctx.stroke();
+        }
+
+        ctx.fillStyle = '#f0f0f0';
+        ctx.font = '12px monospace';
+        ctx.fillText(maxHeight.toFixed(0), 2, padding);
+        ctx.fillText(minHeight.toFixed(0), 2, height - padding);
+        ctx.fillText(`${totalDistance.toFixed(0)} elmos`, width - padding - 90, height - 8);
+    }
+
+    /**
+     * Redraws the ruler line, its readout and the elevation profile from rulerPoints.
+     */
+    function updateRuler() {
+        const readout = document.getElementById('ruler-readout');
+        const profileCanvas = document.getElementById('ruler-profile');
+
+        replaceGeometryPoints(rulerMarkers, rulerPoints.map(p => new THREE.Vector3(p.x, getHeightAt(p.x, p.z) + 8, p.z)));
+        if (rulerPoints.length < 2) {
+            rulerLine.visible = false;
+            profileCanvas.hidden = true;
+            readout.textContent = rulerActive ? 'Click the terrain to add points' : '';
+            return;
+        }
+
+        const { samples, distance2d, distance3d } = sampleRulerPath();
+        replaceGeometryPoints(rulerLine, samples.map(sample => new THREE.Vector3(sample.x, sample.height + 8, sample.z)));
+        rulerLine.visible = true;
+
+        const rise = samples[samples.length - 1].height - samples[0].height;
+        readout.textContent = `2D: ${distance2d.toFixed(0)}  3D: ${distance3d.toFixed(0)} elmos  Elevation change: ${rise.toFixed(1)}`;
+        profileCanvas.hidden = false;
+        drawElevationProfile(profileCanvas, samples);
+    }
+
+    function createRulerObjects() {
+        rulerLine = new THREE.Line(
+            new THREE.BufferGeometry(),
+            new THREE.LineBasicMaterial({ color: 0xffeb3b, depthTest: false, transparent: true })
+        );
+        rulerMarkers = new THREE.Points(
+            new THREE.BufferGeometry(),
+            new THREE.PointsMaterial({ color: 0xffeb3b, size: 8, sizeAttenuation: false, depthTest: false, transparent: true })
+        );
+        for (const object of [rulerLine, rulerMarkers]) {
+            object.frustumCulled = false;
+            object.renderOrder = 1;
+            scene.add(object);
+        }
+        rulerLine.visible = false;
+    }
+
+    // --- TERRAIN ANALYSIS OVERLAY ---
+    // Colors the terrain by slope, or shades where a movement class cannot go. The overlay is
+    // blended into a heightmap-sized copy of the map texture that temporarily replaces it.
+    // Movement classes are editable JSON, [{ name, maxSlope, minWaterDepth, maxWaterDepth, hover }]:
+    //   maxSlope:      steepest slope in degrees the class can climb (any, if left out)
+    //   minWaterDepth: water needed below the unit, e.g. for ships
+    //   maxWaterDepth: deepest water the unit can drive through
+    //   hover:         floats over water of any depth
+    // The defaults roughly follow BAR's standard bot, tank, hover and boat movedefs. Slopes are taken
+    // per heightmap pixel, which is close to but not exactly how the engine averages them.
+    const MOVE_CLASS_STORAGE_KEY = 'bar3dMapViewer.moveClasses';
+    const DEFAULT_MOVE_CLASSES = [
+        { name: 'Bot', maxSlope: 36, maxWaterDepth: 22 },
+        { name: 'Tank', maxSlope: 18, maxWaterDepth: 22 },
+        { name: 'Hover', maxSlope: 22, hover: true },
+        { name: 'Ship', minWaterDepth: 8 }
+    ];
+    const SLOPE_COLOR_STOPS = [ // [degrees, r, g, b]
+        [0, 60, 180, 75],
+        [15, 255, 225, 25],
+        [30, 245, 130, 48],
+        [45, 230, 25, 75]
+    ];
+    const ANALYSIS_OPACITY = 0.6;
+    const IMPASSABLE_COLOR = [230, 25, 75];
+
+    /**
+     * Slope of each heightmap pixel in degrees, from central differences of `heights`.
+     */
+    function computeSlopeDegrees(heights, width, height) {
+        const spacingX = mapWidthWorld / (width - 1);
+        const spacingZ = mapHeightWorld / (height - 1);
+        const slopes = new Float32Array(heights.length);
+        for (let z = 0; z < height; z++) {
+            const z0 = Math.max(z - 1, 0), z1 = Math.min(z + 1, height - 1);
+            for (let x = 0; x < width; x++) {
+                const x0 = Math.max(x - 1, 0), x1 = Math.min(x + 1, width - 1);
+                const gradientX = (heights[z * width + x1] - heights[z * width + x0]) / ((x1 - x0) * spacingX);
+                const gradientZ = (heights[z1 * width + x] - heights[z0 * width + x]) / ((z1 - z0) * spacingZ);
+                slopes[z * width + x] = Math.atan(Math.hypot(gradientX, gradientZ)) * 180 / Math.PI;
+            }
+        }
+        return slopes;
+    }
+
+    // depth is how far the water surface is above the ground, negative on land
+    function isPassable(moveClass, slope, depth) {
+        if (moveClass.hover && depth > 0) return true;
+        if (moveClass.minWaterDepth !== undefined && depth < moveClass.minWaterDepth) return false;
+        if (moveClass.maxWaterDepth !== undefined && depth > moveClass.maxWaterDepth) return false;
+        return moveClass.maxSlope === undefined || slope <= moveClass.maxSlope;
+    }
+
+    function slopeColor(degrees) {
+        const stops = SLOPE_COLOR_STOPS;
+        if (degrees >= stops[stops.length - 1][0]) return stops[stops.length - 1].slice(1);
+        let i = 1;
+        while (degrees > stops[i][0]) i++;
+        const [d0, ...c0] = stops[i - 1], [d1, ...c1] = stops[i];
+        const t = (degrees - d0) / (d1 - d0);
+        return c0.map((c, k) => c + (c1[k] - c) * t);
+    }
+
+    function loadMoveClasses() {
+        try {
+            return JSON.parse(localStorage.getItem(MOVE_CLASS_STORAGE_KEY)) || DEFAULT_MOVE_CLASSES;
+        } catch (error) {
+            console.warn("Could not read saved movement classes:", error);
+            return DEFAULT_MOVE_CLASSES;
+        }
+    }
+
+    /**
+     * Checks edited movement class JSON, throwing a readable error when it is unusable.
+     */
+    function parseMoveClasses(text) {
+        const classes = JSON.parse(text);
+        if (!Array.isArray(classes) || !classes.length) throw new Error("expected a non-empty array of classes");
+        for (const moveClass of classes) {
+            if (typeof moveClass?.name !== 'string') throw new Error("every class needs a name");
+            for (const key of ['maxSlope', 'minWaterDepth', 'maxWaterDepth']) {
+                if (moveClass[key] !== undefined && !Number.isFinite(moveClass[key])) {
+                    throw new Error(`${moveClass.name}: ${key} must be a number`);
+                }
+            }
+        }
+        return classes;
+    }
+
+    // Coalesces the redraws of a slider drag into one per frame
+    function scheduleAnalysisUpdate() {
+        if (analysisUpdatePending) return;
+        analysisUpdatePending = true;
+        requestAnimationFrame(() => {
+            analysisUpdatePending = false;
+            updateAnalysisOverlay();
+        });
+    }
+
+    /**
+     * Redraws the analysis overlay for the current heights and water level, or restores the
+     * map texture when the overlay is off.
+     */
+    function updateAnalysisOverlay() {
+        if (!terrainMesh || !mutatedHeightData) return;
+        const mode = document.getElementById('analysis-mode').value;
+        const readout = document.getElementById('analysis-readout');
+
+        if (mode === 'none') {
+            terrainMaterial.map = terrainColorTexture;
+            readout.textContent = '';
+            showAnalysisLegend(null);
+            return;
+        }
+
+        if (!analysisCanvas) {
+            analysisCanvas = document.createElement('canvas');
+            analysisCanvas.width = heightmapWidth;
+            analysisCanvas.height = heightmapHeight;
+            analysisTexture = new THREE.CanvasTexture(analysisCanvas);
+            analysisTexture.colorSpace = terrainColorTexture.colorSpace;
+        }
+        const ctx = analysisCanvas.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(terrainColorTexture.image, 0, 0, heightmapWidth, heightmapHeight);
+        const image = ctx.getImageData(0, 0, heightmapWidth, heightmapHeight);
+        const pixels = image.data;
+
+        const slopes = computeSlopeDegrees(mutatedHeightData, heightmapWidth, heightmapHeight);
+        const waterLevel = getWaterLevel();
+        const moveClass = moveClasses[document.getElementById('move-class-select').selectedIndex];
+        let passableCount = 0;
+
+        // The difference colors are scaled to the largest change in either direction
+        let largestChange = 0;
+        if (mode === 'difference') {
+            for (let i = 0; i < mutatedHeightData.length; i++) {
+                largestChange = Math.max(largestChange, Math.abs(mutatedHeightData[i] - baseHeightData[i]));
+            }
+        }
+
+        for (let i = 0; i < slopes.length; i++) {
+            let color;
+            if (mode === 'slope') {
+                color = slopeColor(slopes[i]);
+            } else if (mode === 'difference') {
+                color = differenceColor(largestChange ? (mutatedHeightData[i] - baseHeightData[i]) / largestChange : 0);
+            } else if (isPassable(moveClass, slopes[i], waterLevel - mutatedHeightData[i])) {
+                passableCount++;
+                continue;
+            } else {
+                color = IMPASSABLE_COLOR;
+            }
+            for (let c = 0; c < 3; c++) {
+                pixels[i * 4 + c] += (color[c] - pixels[i * 4 + c]) * ANALYSIS_OPACITY;
+            }
+        }
+        ctx.putImageData(image, 0, 0);
+        analysisTexture.needsUpdate = true;
+        terrainMaterial.map = analysisTexture;
+
+        if (mode === 'slope') {
+            let steepest = 0;
+            for (let i = 0; i < slopes.length; i++) steepest = Math.max(steepest, slopes[i]);
+            readout.textContent = `Steepest ${steepest.toFixed(1)}°`;
+            showAnalysisLegend(SLOPE_COLOR_STOPS.map(([, ...color]) => color),
+                ['0°', `${SLOPE_COLOR_STOPS[SLOPE_COLOR_STOPS.length - 1][0]}°+`]);
+        } else if (mode === 'difference') {
+            readout.textContent = largestChange ? '' : 'No change from the original';
+            const { lowered, unchanged, raised } = DIFFERENCE_COLORS;
+            showAnalysisLegend([lowered, unchanged, raised], [`-${largestChange.toFixed(0)}`, '0', `+${largestChange.toFixed(0)}`]);
+        } else {
+            readout.textContent = `${moveClass.name}: ${(passableCount / slopes.length * 100).toFixed(1)}% passable`;
+            showAnalysisLegend(null);
+        }
+    }
+
+    /**
+     * Shows a color bar for the overlay with labels spread evenly beneath it, or hides it for null.
+     */
+    function showAnalysisLegend(colors, labels = []) {
+        const legend = document.getElementById('analysis-legend');
+        legend.hidden = !colors;
+        if (!colors) return;
+        const gradient = colors.map(([r, g, b]) => `rgb(${r}, ${g}, ${b})`).join(', ');
+        legend.querySelector('.legend-bar').style.background = `linear-gradient(to right, ${gradient})`;
+        legend.querySelector('.legend-labels').replaceChildren(...labels.map(text => {
+            const label = document.createElement('span');
+            label.textContent = text;
+            return label;
+        }));
+    }
+
+    // --- CONTOUR LINES ---
+    // Isolines of the mutated heights every `interval` height units, traced per heightmap cell by
+    // contours.js. Every Nth line is emphasized, and the water level gets a highlighted line of its
+    // own. The lines are flat at their level, lifted slightly so the terrain between heightmap pixels
+    // (and coarser distant chunks) doesn't hide them. They are traced in a module worker so dragging
+    // a slider stays smooth; as with the mutator worker, requests made while it is busy are
+    // coalesced into one re-run. Without workers they are traced on the main thread.
+    const CONTOUR_LIFT = 4;
+    const MAX_CONTOUR_LEVELS = 300;
+    const MAX_CONTOUR_LABELS = 150;
+    const CONTOUR_COLORS = { minor: '#4a4a4a', major: '#111111', water: '#00b0ff' };
+
+    /**
+     * Reads the contour inputs into { interval, majorEvery, levels } for the current heights.
+     * Returns null, with the reason in the readout, when the interval is unusable.
+     */
+    function readContourSettings() {
+        const readout = document.getElementById('contour-readout');
+        const interval = Number(document.getElementById('contour-interval').value);
+        const majorEvery = Math.max(1, Math.round(Number(document.getElementById('contour-major-every').value)) || 1);
+        if (!(interval > 0)) {
+            readout.textContent = 'The interval must be above 0';
+            return null;
+        }
+
+        const levels = contourLevels(mutatedMinHeight, mutatedMaxHeight, interval);
+        if (levels.length > MAX_CONTOUR_LEVELS) {
+            const smallest = Math.ceil((mutatedMaxHeight - mutatedMinHeight) / MAX_CONTOUR_LEVELS);
+            readout.textContent = `Too many lines; use an interval of at least ${smallest}`;
+            return null;
+        }
+        return { interval, majorEvery, levels };
+    }
+
+    function createContourWorker() {
+        try {
+            const worker = new Worker(new URL('./contourWorker.js', import.meta.url), { type: 'module' });
+            worker.addEventListener('message', onContourWorkerMessage);
+            worker.addEventListener('error', (event) => {
+                console.error("Contour worker failed, falling back to the main thread:", event.message);
+                contourWorker = null;
+                contourWorkerBusy = false;
+                updateContours();
+            });
+            return worker;
+        } catch (error) {
+            console.warn("Module workers are not supported, contours will be traced on the main thread:", error);
+            return null;
+        }
+    }
 
-        imageWidth = colorTexture.image.width;
-        imageHeight = colorTexture.image.height;
+    function onContourWorkerMessage({ data }) {
+        contourWorkerBusy = false;
+        // Lines for a map that has since been replaced are dropped
+        if (data.baseVersion === baseVersion) {
+            if (data.type === 'result') showContourOverlay(data.overlay);
+            else console.error("Could not trace contours:", data.message);
+        }
+        if (contourRunPending) {
+            contourRunPending = false;
+            updateContours();
+        }
+    }
 
-        const container = document.getElementById("canvas-container");
+    function getContourGroup() {
+        if (!contourGroup) {
+            contourGroup = new THREE.Group();
+            scene.add(contourGroup);
+        }
+        return contourGroup;
+    }
 
-        const width = container.clientWidth;
-        const height = container.clientHeight;
+    /**
+     * Builds a LineSegments from a contourSegments buffer, which is already in world coordinates.
+     */
+    function createContourLines(positions, color, opacity) {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        const material = new THREE.LineBasicMaterial({ color, transparent: opacity < 1, opacity });
+        const segments = new THREE.LineSegments(geometry, material);
+        segments.renderOrder = 1;
+        return segments;
+    }
 
-        renderer.setSize(width, height);
-        controlsDiv.style.width = `${imageWidth}px`;
-        camera.aspect = width / height;
-        camera.updateProjectionMatrix();
+    // Label positions, thinned out evenly when there are too many
+    function pickContourLabels(positions) {
+        const step = Math.max(1, positions.length / MAX_CONTOUR_LABELS);
+        const picked = [];
+        for (let i = 0; i < positions.length; i += step) picked.push(positions[Math.floor(i)]);
+        return picked;
+    }
 
-        const observer = new ResizeObserver(entries => {
-            const { width, height } = entries[0].contentRect;
+    /**
+     * Moves the contour labels to `positions` ([{ level, x, z }] in heightmap pixels). Sprites already
+     * made for a level are reused, so a redraw doesn't render their text again; the rest are disposed.
+     */
+    function placeContourLabels(positions) {
+        const spare = new Map(); // Label text -> sprites not placed yet
+        for (const sprite of contourLabelSprites) {
+            if (!spare.has(sprite.userData.text)) spare.set(sprite.userData.text, []);
+            spare.get(sprite.userData.text).push(sprite);
+        }
 
-            renderer.setSize(width, height);
-            camera.aspect = width / height;
-            camera.updateProjectionMatrix();
+        const scaleX = mapWidthWorld / (heightmapWidth - 1);
+        const scaleZ = mapHeightWorld / (heightmapHeight - 1);
+        contourLabelSprites = positions.map(({ level, x, z }) => {
+            const text = level.toFixed(0);
+            let sprite = spare.get(text)?.pop();
+            if (!sprite) {
+                sprite = createTextSprite(text);
+                sprite.userData.text = text;
+                getContourGroup().add(sprite);
+            }
+            sprite.position.set(x * scaleX, level + CONTOUR_LIFT, z * scaleZ);
+            return sprite;
         });
 
-        observer.observe(container);
+        for (const sprites of spare.values()) {
+            for (const sprite of sprites) {
+                contourGroup.remove(sprite);
+                sprite.material.map.dispose();
+                sprite.material.dispose();
+            }
+        }
+    }
 
-        // --- SETUP a canvas to be our dynamic heightmap source ---
-        const hmWidth = heightmapTexture.image.width;
-        const hmHeight = heightmapTexture.image.height;
-        displacementCanvas = document.createElement('canvas');
-        displacementCanvas.width = hmWidth;
-        displacementCanvas.height = hmHeight;
-        displacementContext = displacementCanvas.getContext('2d', { willReadFrequently: true });
+    function disposeContourLines() {
+        for (const lines of contourLines) {
+            contourGroup.remove(lines);
+            lines.geometry.dispose();
+            lines.material.dispose();
+        }
+        contourLines = [];
+    }
 
-        // Draw the initial heightmap image to our canvas
-        displacementContext.drawImage(heightmapTexture.image, 0, 0);
-        const initialImageData = displacementContext.getImageData(0, 0, hmWidth, hmHeight);
+    /**
+     * Draws a traced overlay (see traceContourOverlay), replacing the previous lines.
+     */
+    function showContourOverlay(overlay) {
+        // The contours may have been switched off while the worker traced them
+        if (!document.getElementById('contour-toggle').checked) return;
+        disposeContourLines();
+        contourLines = [
+            createContourLines(overlay.minor, CONTOUR_COLORS.minor, 0.5),
+            createContourLines(overlay.major, CONTOUR_COLORS.major, 1),
+            createContourLines(overlay.water, CONTOUR_COLORS.water, 1)
+        ];
+        getContourGroup().add(...contourLines);
+        placeContourLabels(pickContourLabels(overlay.labels));
+        document.getElementById('contour-readout').textContent = `${overlay.levelCount} levels`;
+    }
 
-        // Save the original, unmodified pixel data
-        baseHeightImageData = displacementContext.getImageData(0, 0, hmWidth, hmHeight);
+    // Coalesces the redraws of a slider drag or brush stroke into one per frame
+    function scheduleContourUpdate() {
+        if (contourUpdatePending) return;
+        contourUpdatePending = true;
+        requestAnimationFrame(() => {
+            contourUpdatePending = false;
+            updateContours();
+        });
+    }
 
-        // Create a Three.js texture that USES our canvas as its source
-        displacementTexture = new THREE.CanvasTexture(displacementCanvas);
+    /**
+     * Traces the contours for the current heights, water level and settings and draws them once
+     * traced, or removes them when they are switched off.
+     */
+    function updateContours() {
+        if (!terrainMesh || !mutatedHeightData) return;
+        const settings = document.getElementById('contour-toggle').checked ? readContourSettings() : null;
+        if (!settings) {
+            disposeContourLines();
+            placeContourLabels([]);
+            if (!document.getElementById('contour-toggle').checked) document.getElementById('contour-readout').textContent = '';
+            return;
+        }
 
-        // --- <<< NEW: Create the high-precision base height data array ---
-        baseHeightData = new Float32Array(hmWidth * hmHeight);
-        for (let i = 0; i < baseHeightData.length; i++) {
-            const pixelValue = initialImageData.data[i * 4]; // Read the red channel
-            baseHeightData[i] = mapPixelToHeight(pixelValue);
+        if (contourWorker === undefined) contourWorker = createContourWorker();
+        if (contourWorker && contourWorkerBusy) {
+            contourRunPending = true;
+            return;
+        }
+        const request = {
+            // The worker gets a copy, as the heights are transferred to it
+            heights: contourWorker ? new Float32Array(mutatedHeightData) : mutatedHeightData,
+            width: heightmapWidth,
+            height: heightmapHeight,
+            ...settings,
+            waterLevel: waterPlane.visible ? getWaterLevel() : null,
+            scaleX: mapWidthWorld / (heightmapWidth - 1),
+            scaleZ: mapHeightWorld / (heightmapHeight - 1),
+            lift: CONTOUR_LIFT,
+            labels: document.getElementById('contour-labels-toggle').checked
+        };
+        if (contourWorker) {
+            contourWorkerBusy = true;
+            contourWorker.postMessage({ type: 'trace', baseVersion, request }, [request.heights.buffer]);
+        } else {
+            showContourOverlay(traceContourOverlay(request));
         }
-        // --- End of new section ---
+    }
 
-        // Create the terrain using the GPU-accelerated displacementMap method
-        const geometry = new THREE.PlaneGeometry(mapWidthWorld, mapHeightWorld, 255, 255);
-        const material = new THREE.MeshStandardMaterial({
-            map: colorTexture,
-            // ** Step 1: Assign the texture property **
-            displacementMap: displacementTexture,
-            // ** Step 2: Adjust the scale **
-            displacementScale: MAX_MAP_HEIGHT - MIN_MAP_HEIGHT,
-        });
+    /**
+     * Downloads the current contours as a top-down SVG of the map, one unit per elmo.
+     */
+    function exportContourSvg() {
+        if (!mutatedHeightData) return;
+        const settings = readContourSettings();
+        if (!settings) return;
 
-        terrainMesh = new THREE.Mesh(geometry, material);
-        terrainMesh.rotation.x = -Math.PI / 2;
-        // <<< CHANGED: The mesh base is positioned at the minimum height
-        terrainMesh.position.set(mapWidthWorld / 2, MIN_MAP_HEIGHT, mapHeightWorld / 2);
-        scene.add(terrainMesh);
+        const contours = computeContours(mutatedHeightData, heightmapWidth, heightmapHeight, settings.levels);
+        const { minor, major } = splitMajorContours(contours, settings.interval, settings.majorEvery);
+        const water = waterPlane.visible
+            ? computeContours(mutatedHeightData, heightmapWidth, heightmapHeight, [getWaterLevel()])
+            : [];
+        const lineWidth = Math.max(mapWidthWorld, mapHeightWorld) / 2000;
+        const svg = contoursToSvg({
+            width: mapWidthWorld,
+            height: mapHeightWorld,
+            scaleX: mapWidthWorld / (heightmapWidth - 1),
+            scaleZ: mapHeightWorld / (heightmapHeight - 1),
+            layers: [
+                { name: 'minor', contours: minor, stroke: CONTOUR_COLORS.minor, strokeWidth: lineWidth },
+                { name: 'major', contours: major, stroke: CONTOUR_COLORS.major, strokeWidth: lineWidth * 2.5 },
+                { name: 'water', contours: water, stroke: CONTOUR_COLORS.water, strokeWidth: lineWidth * 2.5 }
+            ],
+            labels: document.getElementById('contour-labels-toggle').checked
+                ? pickContourLabels(contourLabelPositions(major)).map(({ level, x, z }) => ({ x, z, text: level.toFixed(0) }))
+                : []
+        });
+        const baseName = mapMetadata.fileName || mapMetadata.name || 'map';
+        downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), `${baseName}_contours.svg`);
     }
 
     /**
-     * Creates the 3D mesh for the water plane and adds it to the scene.
+     * Sets up the contour toggles, interval inputs and SVG export.
      */
-    function createWaterPlane() {
-        const waterGeometry = new THREE.PlaneGeometry(mapWidthWorld, mapHeightWorld);
+    function initializeContourControls() {
+        for (const id of ['contour-toggle', 'contour-labels-toggle']) {
+            document.getElementById(id).addEventListener('change', scheduleContourUpdate);
+        }
+        for (const id of ['contour-interval', 'contour-major-every']) {
+            document.getElementById(id).addEventListener('input', scheduleContourUpdate);
+        }
+        document.getElementById('contour-svg-btn').addEventListener('click', exportContourSvg);
 
-        const waterMaterial = new THREE.MeshStandardMaterial({
-            color: 0x42a5f5,      // A nice blue color
-            transparent: true,
-            opacity: 0.60,
-            roughness: 0.1,       // Makes the surface shiny like water
-            metalness: 0.2
-        });
+        onTerrainChanged(scheduleContourUpdate);
+        onWaterChanged(scheduleContourUpdate);
+    }
 
-        waterPlane = new THREE.Mesh(waterGeometry, waterMaterial);
-        waterPlane.rotation.x = -Math.PI / 2; // Lay it flat
-        waterPlane.position.x = mapWidthWorld / 2;          // Initial height
-        waterPlane.position.z = mapHeightWorld / 2;          // Initial height
-        waterPlane.position.y = 0;          // Initial height
-        waterPlane.visible = true;           // Start visible
+    // --- CAMERA MODES ---
+    // orbit: the free perspective camera.
+    // rts:   an in-game style camera tilted at a fixed angle and facing north. WASD/arrow keys and
+    //        the canvas edges pan it, and its target rides on the terrain so zooming stops above the ground.
+    // top:   an orthographic view straight down with north up, matching the minimap.
+    const RTS_TILT = THREE.MathUtils.degToRad(35); // From vertical
+    const RTS_MIN_DISTANCE = 300;
+    const EDGE_SCROLL_MARGIN = 0.03; // Fraction of the canvas along each edge that scrolls
+    const CAMERA_PAN_SPEED = 1.2; // Per second, as a multiple of the camera's distance from its target
+    const CAMERA_FLIGHT_DURATION = 1.2; // Seconds
+    const FRAME_DIRECTION = new THREE.Vector3(-0.25, 0.5, 0.75).normalize();
+    const VIEWPOINT_STORAGE_KEY = 'bar3dMapViewer.viewpoints';
+    const CAMERA_PAN_KEYS = {
+        w: [0, -1], arrowup: [0, -1], s: [0, 1], arrowdown: [0, 1],
+        a: [-1, 0], arrowleft: [-1, 0], d: [1, 0], arrowright: [1, 0]
+    };
 
-        scene.add(waterPlane);
+    function getMapRadius() {
+        return Math.hypot(mapWidthWorld || 8192, mapHeightWorld || 8192) / 2;
     }
 
-    // --- TERRAIN MUTATORS ---
+    // The direction from the target to the camera that frameCameraOnMap uses for the current mode
+    function getCameraModeDirection() {
+        if (cameraMode === 'rts') return new THREE.Vector3(0, Math.cos(RTS_TILT), Math.sin(RTS_TILT));
+        return FRAME_DIRECTION;
+    }
 
-    // <<< NEW: Helper function to map a real height to a 0-255 pixel value
-    function mapHeightToPixel(height) {
-        const normalized = (height - MIN_MAP_HEIGHT) / (MAX_MAP_HEIGHT - MIN_MAP_HEIGHT);
-        return Math.max(0, Math.min(255, normalized * 255));
+    function updateCameraProjections(width, height) {
+        perspectiveCamera.aspect = width / height;
+        perspectiveCamera.updateProjectionMatrix();
+        orthoCamera.top = orthoViewHeight / 2;
+        orthoCamera.bottom = -orthoViewHeight / 2;
+        orthoCamera.left = -orthoViewHeight * width / height / 2;
+        orthoCamera.right = orthoViewHeight * width / height / 2;
+        orthoCamera.updateProjectionMatrix();
     }
 
-    // <<< NEW: Helper function to map a pixel value back to a real height
-    function mapPixelToHeight(pixelValue) {
-        const normalized = pixelValue / 255;
-        return normalized * (MAX_MAP_HEIGHT - MIN_MAP_HEIGHT) + MIN_MAP_HEIGHT;
+    /**
+     * Fits near and far around what is in view, so any map size renders without clipping
+     * and with as much depth precision as possible.
+     */
+    function updateCameraClipping() {
+        const distance = camera.position.distanceTo(orbitControls.target);
+        const far = distance + getMapRadius() * 2 + (MAX_MAP_HEIGHT - MIN_MAP_HEIGHT);
+        const near = camera.isOrthographicCamera ? 1 : Math.max(1, Math.min(distance / 100, 50));
+        if (camera.near !== near || camera.far !== far) {
+            camera.near = near;
+            camera.far = far;
+            camera.updateProjectionMatrix();
+        }
     }
 
     /**
-     * Creates a new ImageData object by modifying pixels from an input ImageData.
-     * Pixels with a value greater than the threshold are multiplied by the factor.
+     * Switches the active camera and the orbit control limits to the given mode.
      */
-    // <<< CHANGED: This function now takes a real height threshold
-    function applyExtremeAboveToPixels(sourceImageData, heightThreshold, factor) {
-        const pixelThreshold = mapHeightToPixel(heightThreshold); // <<< CHANGED: Convert to pixel value
-        const newImageData = new ImageData(sourceImageData.width, sourceImageData.height);
-        const sourcePixels = sourceImageData.data;
-        const newPixels = newImageData.data;
+    function setCameraMode(mode, frame = true) {
+        const previousCamera = camera;
+        cameraMode = mode;
+        camera = mode === 'top' ? orthoCamera : perspectiveCamera;
+        if (camera !== previousCamera) camera.position.copy(previousCamera.position);
+        orbitControls.object = camera;
 
-        for (let i = 0; i < sourcePixels.length; i += 4) {
-            const heightValue = sourcePixels[i];
-            const newHeight = (heightValue > pixelThreshold) ? Math.min(255, heightValue * factor) : heightValue;
-            newPixels[i] = newPixels[i + 1] = newPixels[i + 2] = newHeight;
-            newPixels[i + 3] = 255;
-        }
-        return newImageData;
+        const free = mode === 'orbit';
+        orbitControls.enableRotate = free;
+        orbitControls.screenSpacePanning = free;
+        orbitControls.mouseButtons.LEFT = free ? THREE.MOUSE.ROTATE : THREE.MOUSE.PAN;
+        orbitControls.minPolarAngle = mode === 'rts' ? RTS_TILT : 0;
+        orbitControls.maxPolarAngle = mode === 'rts' ? RTS_TILT : (mode === 'top' ? 0 : Math.PI);
+        orbitControls.minAzimuthAngle = free ? -Infinity : 0;
+        orbitControls.maxAzimuthAngle = free ? Infinity : 0;
+        orbitControls.minDistance = mode === 'rts' ? RTS_MIN_DISTANCE : 0;
+        orbitControls.maxDistance = mode === 'rts' ? getMapRadius() * 2 : Infinity;
+
+        document.getElementById('camera-mode').value = mode;
+        if (frame) frameCameraOnMap();
+        orbitControls.update();
     }
 
     /**
-     * Creates a new ImageData object by modifying pixels from an input ImageData.
-     * Pixels with a value less than the threshold are multiplied by the factor.
+     * Pans the rts and top-down cameras with the keyboard and the canvas edges, and keeps the
+     * rts camera's target on the terrain.
      */
-    // <<< CHANGED: This function now takes a real height threshold
-    function applyExtremeBelowToPixels(sourceImageData, heightThreshold, factor) {
-        const pixelThreshold = mapHeightToPixel(heightThreshold); // <<< CHANGED: Convert to pixel value
-        const newImageData = new ImageData(sourceImageData.width, sourceImageData.height);
-        const sourcePixels = sourceImageData.data;
-        const newPixels = newImageData.data;
+    function panRtsCamera(delta) {
+        if (!terrainMesh) return;
+        const target = orbitControls.target;
+        const move = new THREE.Vector3();
+        for (const key of pressedCameraKeys) {
+            const [x, z] = CAMERA_PAN_KEYS[key];
+            move.x += x;
+            move.z += z;
+        }
+        if (edgeScrollPointer) {
+            if (edgeScrollPointer.x < EDGE_SCROLL_MARGIN) move.x -= 1;
+            if (edgeScrollPointer.x > 1 - EDGE_SCROLL_MARGIN) move.x += 1;
+            if (edgeScrollPointer.y < EDGE_SCROLL_MARGIN) move.z -= 1;
+            if (edgeScrollPointer.y > 1 - EDGE_SCROLL_MARGIN) move.z += 1;
+        }
 
-        for (let i = 0; i < sourcePixels.length; i += 4) {
-            const heightValue = sourcePixels[i];
-            const newHeight = (heightValue < pixelThreshold) ? Math.min(255, heightValue * factor) : heightValue;
-            newPixels[i] = newPixels[i + 1] = newPixels[i + 2] = newHeight;
-            newPixels[i + 3] = 255;
+        if (move.lengthSq() > 0) {
+            // The orthographic camera keeps its distance, so its speed follows the zoom instead
+            const distance = camera.isOrthographicCamera ? orthoViewHeight / camera.zoom : camera.position.distanceTo(target);
+            move.normalize().multiplyScalar(distance * CAMERA_PAN_SPEED * delta);
         }
-        return newImageData;
+
+        // Stay over the map
+        move.x = Math.min(Math.max(target.x + move.x, 0), mapWidthWorld) - target.x;
+        move.z = Math.min(Math.max(target.z + move.z, 0), mapHeightWorld) - target.z;
+
+        if (cameraMode === 'rts' && mutatedHeightData) {
+            // Ease the target onto the ground, and lift the camera out of any hill behind it
+            move.y = (getHeightAt(target.x + move.x, target.z + move.z) - target.y) * Math.min(1, delta * 8);
+            const clearance = getHeightAt(camera.position.x, camera.position.z) + 50 - (camera.position.y + move.y);
+            if (clearance > 0) move.y += clearance;
+        }
+
+        target.add(move);
+        camera.position.add(move);
     }
 
     /**
-     * Applies the full chain of mutators in order.
+     * Starts a smooth flight to a saved viewpoint ({ mode, position, target, zoom }).
      */
-    function applyMutatorChain() {
-        if (!baseHeightData) return;
+    function flyToViewpoint(viewpoint) {
+        if (viewpoint.mode !== cameraMode) setCameraMode(viewpoint.mode, false);
+        cameraFlight = {
+            fromPosition: camera.position.clone(),
+            fromTarget: orbitControls.target.clone(),
+            fromZoom: camera.zoom,
+            toPosition: new THREE.Vector3().fromArray(viewpoint.position),
+            toTarget: new THREE.Vector3().fromArray(viewpoint.target),
+            toZoom: viewpoint.zoom || 1,
+            elapsed: 0
+        };
+    }
 
-        // 1. Start with a fresh copy of the high-precision base terrain data.
-        const mutatedHeightData = new Float32Array(baseHeightData);
-
-        // 2. Sequentially apply each mutator in the chain to the real height data.
-        //    This step is where heights can go far beyond the original min/max.
-        for (const mutator of mutatorChain) {
-            const absoluteThreshold = WATER_LEVEL + mutator.threshold;
-            const delta = mutator.factor - 1;
-
-            if (mutator.type === 'above') {
-                for (let i = 0; i < mutatedHeightData.length; i++) {
-                    const originalHeight = mutatedHeightData[i];
-                    if (originalHeight > absoluteThreshold) {
-                        const distance = originalHeight - absoluteThreshold;
-                        mutatedHeightData[i] = originalHeight + (distance * delta);
-                    }
-                }
-            } else if (mutator.type === 'below') {
-                for (let i = 0; i < mutatedHeightData.length; i++) {
-                    const originalHeight = mutatedHeightData[i];
-                    if (originalHeight < absoluteThreshold) {
-                        const distance = absoluteThreshold - originalHeight;
-                        mutatedHeightData[i] = originalHeight - (distance * delta);
-                    }
-                }
-            }
+    function advanceCameraFlight(delta) {
+        const flight = cameraFlight;
+        flight.elapsed += delta;
+        const t = Math.min(flight.elapsed / CAMERA_FLIGHT_DURATION, 1);
+        const eased = t * t * (3 - 2 * t);
+
+        camera.position.lerpVectors(flight.fromPosition, flight.toPosition, eased);
+        orbitControls.target.lerpVectors(flight.fromTarget, flight.toTarget, eased);
+        camera.zoom = flight.fromZoom + (flight.toZoom - flight.fromZoom) * eased;
+        camera.updateProjectionMatrix();
+
+        if (t === 1) {
+            cameraFlight = null;
+            scheduleUrlUpdate();
         }
+    }
 
-        // 3. Find the NEW min and max heights from the mutated data.
-        let newMinHeight = Infinity;
-        let newMaxHeight = -Infinity;
-        for (let i = 0; i < mutatedHeightData.length; i++) {
-            if (mutatedHeightData[i] < newMinHeight) newMinHeight = mutatedHeightData[i];
-            if (mutatedHeightData[i] > newMaxHeight) newMaxHeight = mutatedHeightData[i];
+    // Viewpoints are saved per map: { [map file name]: [{ name, mode, position, target, zoom }] }
+    function loadViewpoints() {
+        try {
+            return JSON.parse(localStorage.getItem(VIEWPOINT_STORAGE_KEY)) || {};
+        } catch (error) {
+            console.warn("Could not read saved viewpoints:", error);
+            return {};
         }
+    }
 
-        // Handle the case of a perfectly flat plane.
-        if (newMinHeight === newMaxHeight) {
-            newMaxHeight += 1.0; // Prevent division by zero
+    function storeViewpoints(viewpoints) {
+        try {
+            localStorage.setItem(VIEWPOINT_STORAGE_KEY, JSON.stringify(viewpoints));
+        } catch (error) {
+            console.warn("Could not save viewpoints:", error);
         }
+    }
+
+    function getViewpointMapKey() {
+        return mapMetadata.fileName || mapMetadata.name || currentMapFileName;
+    }
+
+    function renderViewpointOptions(selectedName) {
+        const viewpointSelect = document.getElementById('viewpoint-select');
+        const viewpoints = loadViewpoints()[getViewpointMapKey()] || [];
+        viewpointSelect.innerHTML = viewpoints.length ? '' : '<option value="">No saved views</option>';
+        for (const viewpoint of viewpoints) viewpointSelect.add(new Option(viewpoint.name, viewpoint.name));
+        if (selectedName) viewpointSelect.value = selectedName;
+    }
+
+    // --- MAP INFO PANEL ---
+    const MINIMAP_SIZE = 256; // Pixels along the map's longer side
 
-        // 4. Update the terrain mesh's scale and position to match the new reality.
-        terrainMesh.position.y = newMinHeight;
-        terrainMesh.material.displacementScale = newMaxHeight - newMinHeight;
+    // Gameplay fields of the API record, shown when present. The API copies most of them out of
+    // mapinfo.lua to the top level; the void and deformation flags stay in its mapInfo.
+    const MAP_INFO_FIELDS = [
+        { label: 'Wind', path: 'minWind', maxPath: 'maxWind' },
+        { label: 'Tidal', path: 'tidalStrength' },
+        { label: 'Gravity', path: 'gravity' },
+        { label: 'Max metal', path: 'maxMetal' },
+        { label: 'Extractor radius', path: 'extractorRadius' },
+        { label: 'Hardness', path: 'mapHardness' },
+        { label: 'Not deformable', path: 'mapInfo.notDeformable' },
+        { label: 'Void water', path: 'mapInfo.voidWater' },
+        { label: 'Void ground', path: 'mapInfo.voidGround' }
+    ];
 
-        // 5. Convert the final, mutated real-world heights back into a pixel-based image,
-        //    NORMALIZED TO THE NEW MIN/MAX.
-        const finalImageData = displacementContext.createImageData(displacementCanvas.width, displacementCanvas.height);
-        const newRange = newMaxHeight - newMinHeight;
+    function readMapField(record, path) {
+        const value = path.split('.').reduce((object, key) => object?.[key], record);
+        return value === null || value === '' ? undefined : value;
+    }
+
+    function formatMapField(value) {
+        if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+        if (typeof value === 'number') return String(Math.round(value * 1000) / 1000);
+        return String(value);
+    }
 
-        for (let i = 0; i < mutatedHeightData.length; i++) {
-            const height = mutatedHeightData[i];
-            // Normalize the height within the new range [0, 1]
-            const normalized = (height - newMinHeight) / newRange;
-            // Convert to a 0-255 pixel value
-            const pixelValue = Math.round(normalized * 255);
+    const formatHeightRange = (min, max) => `${min.toFixed(1)} to ${max.toFixed(1)}`;
 
-            finalImageData.data[i * 4] = pixelValue; // R
-            finalImageData.data[i * 4 + 1] = pixelValue; // G
-            finalImageData.data[i * 4 + 2] = pixelValue; // B
-            finalImageData.data[i * 4 + 3] = 255;        // A
+    /**
+     * Lists the loaded map's metadata in the info panel and redraws the minimap.
+     */
+    function renderMapInfo() {
+        const list = document.getElementById('map-info-list');
+        const rows = [
+            ['Name', mapMetadata.scriptName || mapMetadata.name || mapMetadata.fileName],
+            ['Author', mapMetadata.author],
+            ['Description', mapMetadata.description],
+            ['Size', `${mapMetadata.width}x${mapMetadata.height} (${mapWidthWorld}x${mapHeightWorld} elmos)`],
+            ['Heightmap', `${heightmapWidth}x${heightmapHeight}`],
+            ['Original height', formatHeightRange(MIN_MAP_HEIGHT, MAX_MAP_HEIGHT)],
+            ['Current height', '', 'map-info-current-height']
+        ];
+        for (const field of MAP_INFO_FIELDS) {
+            const value = readMapField(mapMetadata, field.path);
+            if (value === undefined) continue;
+            const max = field.maxPath && readMapField(mapMetadata, field.maxPath);
+            rows.push([field.label, max === undefined ? formatMapField(value) : `${formatMapField(value)} to ${formatMapField(max)}`]);
         }
 
-        // 6. Update the canvas and signal to Three.js that the texture has changed.
-        displacementContext.putImageData(finalImageData, 0, 0);
-        displacementTexture.needsUpdate = true;
+        list.replaceChildren();
+        for (const [label, value, id] of rows) {
+            if (value === undefined || value === null || (value === '' && !id)) continue;
+            const term = document.createElement('dt');
+            term.textContent = label;
+            const description = document.createElement('dd');
+            description.textContent = value;
+            if (id) description.id = id;
+            list.append(term, description);
+        }
+        updateMapInfoHeights();
+        drawMinimapBase();
     }
 
-    function initializeMapControls() {
-        const mapToggle = document.getElementById('all-map-toggle');
+    function updateMapInfoHeights() {
+        const element = document.getElementById('map-info-current-height');
+        if (element && mutatedHeightData) element.textContent = formatHeightRange(mutatedMinHeight, mutatedMaxHeight);
+    }
 
-        // Toggle map visibility
-        mapToggle.addEventListener('change', () => {
-            const showAll = mapToggle.checked;
+    /**
+     * Sizes the minimap to the map's proportions and draws the terrain texture into its cached background.
+     */
+    function drawMinimapBase() {
+        const image = terrainColorTexture?.image;
+        if (!image || !mapWidthWorld) return;
+        const scale = MINIMAP_SIZE / Math.max(mapWidthWorld, mapHeightWorld);
+        minimapCanvas.width = Math.round(mapWidthWorld * scale);
+        minimapCanvas.height = Math.round(mapHeightWorld * scale);
+        minimapBase = document.createElement('canvas');
+        minimapBase.width = minimapCanvas.width;
+        minimapBase.height = minimapCanvas.height;
+        minimapBase.getContext('2d').drawImage(image, 0, 0, minimapBase.width, minimapBase.height);
+        minimapViewKey = null;
+    }
 
-            const allOptions = Array.from(mapSelector.options);
-            allOptions.forEach((option) => {
-                const isInactive = option.text.includes("[INACTIVE] "); //crappy way to see if inactive because i can't be asked to refer to the map data we got from earlier
-                if (showAll) {
-                    option.hidden = false;
-                }
-                else {
-                    option.hidden = isInactive;
-                }
-            });
+    /**
+     * Where the corners of the view meet the ground, as world [x, z] points. Corners that look
+     * above the horizon are cut off a few map sizes away.
+     */
+    function getViewFootprint() {
+        const raycaster = new THREE.Raycaster();
+        const ground = new THREE.Plane(new THREE.Vector3(0, 1, 0), -orbitControls.target.y);
+        const point = new THREE.Vector3();
+        return [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([x, y]) => {
+            raycaster.setFromCamera(new THREE.Vector2(x, y), camera);
+            const hit = raycaster.ray.intersectPlane(ground, point);
+            const distance = hit ? Math.min(raycaster.ray.origin.distanceTo(hit), getMapRadius() * 4) : getMapRadius() * 4;
+            raycaster.ray.at(distance, point);
+            return [point.x, point.z];
         });
     }
 
     /**
-     * Initializes the dynamic mutator UI and its event listeners.
+     * Redraws the camera frustum on the minimap when the view has changed and the panel is open.
      */
-    function initializeMutatorControls() {
-        const container = document.getElementById('mutator-controls-container');
-        const addAboveBtn = document.getElementById('add-above-btn');
-        const addBelowBtn = document.getElementById('add-below-btn');
-        const resetTerrainBtn = document.getElementById('reset-terrain-btn');
+    function updateMinimap() {
+        if (!minimapBase || !mapInfoPanel.open) return;
+        const key = [...camera.matrixWorld.elements, ...camera.projectionMatrix.elements].join();
+        if (key === minimapViewKey) return;
+        minimapViewKey = key;
 
-        // Function to create the HTML for a new mutator row
-        function createMutatorUI(mutator) {
-            const div = document.createElement('div');
-            div.className = 'control-group mutator-row';
-            div.dataset.id = mutator.id; // Assign a unique ID
+        const context = minimapCanvas.getContext('2d');
+        const scaleX = minimapCanvas.width / mapWidthWorld;
+        const scaleZ = minimapCanvas.height / mapHeightWorld;
+        context.drawImage(minimapBase, 0, 0);
 
-            const typeLabel = mutator.type === 'above' ? "Raise Above" : "Lower Below";
+        context.beginPath();
+        for (const [x, z] of getViewFootprint()) context.lineTo(x * scaleX, z * scaleZ);
+        context.closePath();
+        context.fillStyle = 'rgba(97, 218, 251, 0.15)';
+        context.fill();
+        context.strokeStyle = '#61dafb';
+        context.lineWidth = 1.5;
+        context.stroke();
 
-            div.innerHTML = `
-                <label>${typeLabel}:</label>
-                <input type="range" class="threshold-slider" min="${MIN_MAP_HEIGHT}" max="${MAX_MAP_HEIGHT}" value="${mutator.threshold}" step="1">
-                <input class="mutator-value threshold-value" min="${MIN_MAP_HEIGHT}" max="${MAX_MAP_HEIGHT}" value="${mutator.threshold}" step="1" placeholder="${mutator.threshold}">
-                <label>Factor:</label>
-                <input type="range" class="factor-slider" min="-10.0" max="10.0" value="${mutator.factor}" step="0.01">
-                <input class="mutator-value factor-value" min="-10.0" max="10.0" value="${mutator.factor.toFixed(2)}" step="0.01" placeholder="${mutator.factor.toFixed(2)}">
-                <button class="remove-mutator-btn">X</button>
-            `;
-            return div;
-        }
+        context.beginPath();
+        context.arc(orbitControls.target.x * scaleX, orbitControls.target.z * scaleZ, 3, 0, Math.PI * 2);
+        context.fillStyle = '#ffffff';
+        context.fill();
+    }
 
-        // Function to add a new mutator to the state and UI
-        function addMutator(type) {
-            const newMutator = {
-                id: Date.now(), // Simple unique ID
-                type: type,
-                // <<< CHANGED: Default thresholds are now the real min/max heights
-                threshold: type === 'above' ? MAX_MAP_HEIGHT : MIN_MAP_HEIGHT,
-                factor: 1.0
-            };
-            mutatorChain.push(newMutator);
-            const mutatorElement = createMutatorUI(newMutator);
-            container.appendChild(mutatorElement);
-            applyMutatorChain();
-        }
+    /**
+     * Flies the camera so it looks at the clicked point of the minimap from the same angle and distance.
+     */
+    function onMinimapClick(event) {
+        if (!minimapBase) return;
+        const rect = minimapCanvas.getBoundingClientRect();
+        const x = (event.clientX - rect.left) / rect.width * mapWidthWorld;
+        const z = (event.clientY - rect.top) / rect.height * mapHeightWorld;
+        const target = new THREE.Vector3(x, getHeightAt(x, z), z);
+        const position = camera.position.clone().add(target).sub(orbitControls.target);
+        flyToViewpoint({ mode: cameraMode, position: position.toArray(), target: target.toArray(), zoom: camera.zoom });
+    }
 
-        addAboveBtn.addEventListener('click', () => addMutator('above'));
-        addBelowBtn.addEventListener('click', () => addMutator('below'));
+    function initializeMapInfoControls() {
+        minimapCanvas.addEventListener('click', onMinimapClick);
+        mapInfoPanel.addEventListener('toggle', () => { minimapViewKey = null; });
+        onTerrainChanged(updateMapInfoHeights);
+    }
 
-        // Reset terrain and clear all mutators
-        resetTerrainBtn.addEventListener('click', () => {
-            mutatorChain = [];
-            container.innerHTML = '';
-            applyMutatorChain(); // Re-applies the base image data
-        });
+    // --- ORIGINAL VS MUTATED COMPARISON ---
+    // The split view draws a second terrain mesh at the unmutated heights left of a draggable
+    // divider. The height difference itself is one of the analysis overlay modes.
+    const DIFFERENCE_COLORS = { lowered: [33, 102, 172], unchanged: [247, 247, 247], raised: [178, 24, 43] };
 
-        // Use event delegation to handle all input changes and removals
-        container.addEventListener('input', (event) => {
-            const target = event.target;
-            if (target.matches('.threshold-slider, .factor-slider, .threshold-value, .factor-value')) {
-                const row = target.closest('.mutator-row');
-                const id = parseInt(row.dataset.id);
-                const mutator = mutatorChain.find(m => m.id === id);
-
-                if (mutator) {
-                    const thresholdSlider = row.querySelector('.threshold-slider');
-                    const factorSlider = row.querySelector('.factor-slider');
-
-                    const thresholdValue = row.querySelector('.threshold-value')
-                    const factorValue = row.querySelector('.factor-value')
-
-                    if (target.matches('.threshold-slider, .factor-slider')) {
-                        //Slider event
-                        mutator.threshold = parseFloat(thresholdSlider.value);
-                        mutator.factor = parseFloat(factorSlider.value);
-                        // Update UI text
-                        thresholdValue.value = mutator.threshold.toFixed(0);
-                        factorValue.value = mutator.factor.toFixed(2);
-                    } else {
-                        //Number event
-                        mutator.threshold = parseFloat(thresholdValue.value || thresholdValue.placeholder);
-                        mutator.factor = parseFloat(factorValue.value || factorValue.placeholder);
-                        // Update Slider Positions
-                        thresholdSlider.value = mutator.threshold;
-                        factorSlider.value = mutator.factor;
-                    }
-                    
+    // t runs from -1 (lowered the most) through 0 (unchanged) to 1 (raised the most)
+    function differenceColor(t) {
+        const { lowered, unchanged, raised } = DIFFERENCE_COLORS;
+        const end = t < 0 ? lowered : raised;
+        const amount = Math.min(Math.abs(t), 1);
+        return unchanged.map((c, k) => c + (end[k] - c) * amount);
+    }
 
-                    applyMutatorChain();
-                }
-            }
-        });
+    function createOriginalTerrain() {
+        originalTerrainChunks = createChunkedTerrain(new THREE.MeshStandardMaterial({ map: terrainColorTexture }));
+        updateChunkedTerrain(originalTerrainChunks, baseHeightData);
+        originalTerrainMesh = originalTerrainChunks.group;
+        originalTerrainMesh.visible = false;
+        scene.add(originalTerrainMesh);
+    }
 
-        container.addEventListener('click', (event) => {
-            if (event.target.matches('.remove-mutator-btn')) {
-                const row = event.target.closest('.mutator-row');
-                const id = parseInt(row.dataset.id);
+    function disposeOriginalTerrain() {
+        if (!originalTerrainMesh) return;
+        scene.remove(originalTerrainMesh);
+        disposeChunkedTerrain(originalTerrainChunks);
+        originalTerrainChunks.chunks[0]?.mesh.material.dispose();
+        originalTerrainMesh = originalTerrainChunks = null;
+    }
 
-                // Remove from state and UI
-                mutatorChain = mutatorChain.filter(m => m.id !== id);
-                row.remove();
+    function setSplitView(active) {
+        splitViewActive = active;
+        document.getElementById('split-view-btn').classList.toggle('active', active);
+        document.getElementById('split-divider').hidden = !active;
+        if (!active) disposeOriginalTerrain();
+    }
 
-                applyMutatorChain();
-            }
-        });
+    // --- GAMEPLAY OVERLAYS ---
+    // The layout is read from the map's API record, or from a local JSON file in the same shape:
+    //   startPositions: [{ x, z }]                                 elmos
+    //   startboxesSet:  [{ startboxes: [{ poly: [{ x, y }] }] }]   0-200 across the map, as teiserver stores them
+    //   metalSpots:     [{ x, z, metal }]                          elmos; metal is the spot's value
+    //   geoVents:       [{ x, z }]                                 elmos
+    // A few alternative names seen in map data (startPos, mapInfo.teams, mexes, geos) are accepted too.
+    const STARTBOX_UNITS = 200;
+    const OVERLAY_COLORS = { start: 0xffffff, box: 0x61dafb, metal: 0xb0bec5, geo: 0x66ff66 };
+
+    // Accepts [{ x, z }], [[x, z]] or an object of such points keyed by e.g. team number
+    function readLayoutPoints(value) {
+        if (!value) return [];
+        const list = Array.isArray(value) ? value : Object.values(value);
+        return list
+            .map(point => {
+                if (Array.isArray(point)) return { x: Number(point[0]), z: Number(point[1]) };
+                const position = point.startPos || point;
+                return { ...point, x: Number(position.x), z: Number(position.z ?? position.y) };
+            })
+            .filter(point => Number.isFinite(point.x) && Number.isFinite(point.z));
     }
 
     /**
- * Sets up event listeners for the water level controls.
- */
-    function initializeWaterControls() {
-        const waterToggle = document.getElementById('water-toggle');
-        const waterSlider = document.getElementById('water-level-slider');
-        const waterDisplay = document.getElementById('water-level-display');
+     * Normalizes a layout source into start positions, start box polygons, metal spots and geovents,
+     * all in world coordinates.
+     */
+    function readMapLayout(source) {
+        const boxes = source.startboxesSet?.[0]?.startboxes ?? source.startBoxes ?? [];
+        return {
+            startPositions: readLayoutPoints(source.startPositions ?? source.startPos ?? source.mapInfo?.teams),
+            startBoxes: boxes
+                .map(box => (box.poly || box).map(corner => ({
+                    x: Number(corner.x) / STARTBOX_UNITS * mapWidthWorld,
+                    z: Number(corner.y) / STARTBOX_UNITS * mapHeightWorld
+                })))
+                .filter(poly => poly.length >= 2),
+            metalSpots: readLayoutPoints(source.metalSpots ?? source.mexes ?? source.mapInfo?.metalSpots),
+            geoVents: readLayoutPoints(source.geoVents ?? source.geos ?? source.geothermals)
+        };
+    }
 
-        // Set a dynamic range for the slider based on map height
-        waterSlider.min = MIN_MAP_HEIGHT - 200; // Allow going below original min
-        waterSlider.max = MAX_MAP_HEIGHT + 500; // Allow going well above original max
-        waterSlider.value = 0; // Set initial value
-        waterDisplay.value = waterSlider.value;
+    /**
+     * Creates a screen-sized text label that is drawn on top of the terrain.
+     */
+    function createTextSprite(text, color = '#ffffff') {
+        const fontSize = 40;
+        const font = `bold ${fontSize}px sans-serif`;
+        const canvas = document.createElement('canvas');
+        const ctx = canvas.getContext('2d');
+        ctx.font = font;
+        canvas.width = Math.ceil(ctx.measureText(text).width) + 16;
+        canvas.height = fontSize + 12;
 
-        // Toggle water visibility
-        waterToggle.addEventListener('change', () => {
-            waterPlane.visible = waterToggle.checked;
-        });
+        // Resizing the canvas resets the context state
+        ctx.font = font;
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.fillStyle = color;
+        ctx.textBaseline = 'middle';
+        ctx.fillText(text, 8, canvas.height / 2);
 
-        // Update water height from slider
-        waterSlider.addEventListener('input', () => {
-            const newHeight = parseFloat(waterSlider.value);
-            waterPlane.position.y = newHeight;
-            waterDisplay.value = newHeight.toFixed(0);
+        const material = new THREE.SpriteMaterial({
+            map: new THREE.CanvasTexture(canvas),
+            depthTest: false,
+            sizeAttenuation: false
         });
-
-        waterDisplay.addEventListener('input', () => {
-            const newHeight = parseFloat(waterDisplay.value || 0);
-            waterPlane.position.y = newHeight;
-            waterSlider.value = newHeight.toFixed(0);
-        })
+        const sprite = new THREE.Sprite(material);
+        const scale = 0.025;
+        sprite.scale.set(scale * canvas.width / canvas.height, scale, 1);
+        sprite.center.set(0.5, 0);
+        sprite.renderOrder = 2;
+        sprite.userData.ownsTexture = true;
+        return sprite;
     }
 
-    // --- 3D OBJECTS & COORDINATE MAPPING ---
-    function getHeightAt(x, z) {
-        if (!heightDataContext) return 0;
-        const u = x / mapWidthWorld;
-        const v = (z / mapHeightWorld);
-        const imageX = Math.floor(u * heightDataContext.canvas.width);
-        const imageY = Math.floor(v * heightDataContext.canvas.height);
-        const pixelData = heightDataContext.getImageData(imageX, imageY, 1, 1).data;
-        const grayscale = pixelData[0] / 255.0;
-        return grayscale * 800;
+    function disposeOverlays() {
+        if (!overlayGroup) return;
+        overlayGroup.traverse(object => {
+            object.geometry?.dispose();
+            // Markers share the replay marker texture, labels own theirs
+            if (object.userData.ownsTexture) object.material.map.dispose();
+            object.material?.dispose();
+        });
+        scene.remove(overlayGroup);
+        overlayGroup = null;
+        overlayItems = [];
+        startBoxOutlines = [];
     }
 
-    function worldTo3dPosition(x, y, z) {
-        return new THREE.Vector3(x, y, z);
+    /**
+     * Rebuilds the overlay markers and labels for the current map layout.
+     */
+    function buildOverlays() {
+        disposeOverlays();
+        if (!terrainMesh) return;
+
+        const layout = readMapLayout(layoutOverride || mapMetadata || {});
+        overlayGroup = new THREE.Group();
+        const layers = {};
+        for (const name of ['start', 'box', 'metal', 'geo', 'label']) {
+            layers[name] = new THREE.Group();
+            overlayGroup.add(layers[name]);
+        }
+        overlayGroup.userData.layers = layers;
+
+        function addMarker(layer, point, color, size, labelText) {
+            const marker = new THREE.Sprite(new THREE.SpriteMaterial({
+                map: getMarkerTexture(),
+                color,
+                sizeAttenuation: false,
+                depthTest: false
+            }));
+            marker.scale.set(size, size, 1);
+            marker.renderOrder = 2;
+            layers[layer].add(marker);
+            overlayItems.push({ object: marker, x: point.x, z: point.z, lift: 10, aboveWater: false });
+
+            if (labelText) {
+                const label = createTextSprite(labelText, `#${new THREE.Color(color).getHexString()}`);
+                layers.label.add(label);
+                overlayItems.push({ object: label, x: point.x, z: point.z, lift: 40, aboveWater: true, layer });
+            }
+        }
+
+        layout.startPositions.forEach((point, i) => addMarker('start', point, OVERLAY_COLORS.start, 0.02, `Start ${i + 1}`));
+        layout.metalSpots.forEach(point => addMarker('metal', point, OVERLAY_COLORS.metal, 0.012,
+            Number.isFinite(Number(point.metal)) ? Number(point.metal).toFixed(1) : null));
+        layout.geoVents.forEach(point => addMarker('geo', point, OVERLAY_COLORS.geo, 0.016, 'Geo'));
+
+        layout.startBoxes.forEach((poly, i) => {
+            const line = new THREE.LineLoop(
+                new THREE.BufferGeometry(),
+                new THREE.LineBasicMaterial({ color: OVERLAY_COLORS.box, depthTest: false, transparent: true })
+            );
+            line.frustumCulled = false;
+            line.renderOrder = 1;
+            layers.box.add(line);
+            startBoxOutlines.push({ line, points: poly });
+
+            const center = poly.reduce((sum, p) => ({ x: sum.x + p.x / poly.length, z: sum.z + p.z / poly.length }), { x: 0, z: 0 });
+            const label = createTextSprite(`Box ${i + 1}`, `#${new THREE.Color(OVERLAY_COLORS.box).getHexString()}`);
+            layers.label.add(label);
+            overlayItems.push({ object: label, x: center.x, z: center.z, lift: 40, aboveWater: true, layer: 'box' });
+        });
+
+        scene.add(overlayGroup);
+        placeOverlaysOnTerrain();
+        updateOverlayVisibility();
+
+        const counts = `${layout.startPositions.length} starts, ${layout.startBoxes.length} boxes, ` +
+            `${layout.metalSpots.length} metal spots, ${layout.geoVents.length} geos`;
+        document.getElementById('overlay-summary').textContent = counts;
     }
 
-    function getInterpolatedPosition(unitId, frame) {
-        const timeline = unitTimelines[unitId]?.data;
-        if (!timeline || timeline.length === 0) return null;
-        let start = null, end = null;
-        for (let i = 0; i < timeline.length; i++) {
-            if (timeline[i].frame <= frame) start = timeline[i];
-            if (timeline[i].frame >= frame && !end) end = timeline[i];
-        }
-        if (!start) return timeline[0];
-        if (!end) return timeline[timeline.length - 1];
-        if (start.frame === end.frame) return start;
-        const progress = (frame - start.frame) / (end.frame - start.frame);
+    /**
+     * Moves every overlay onto the current terrain surface. Labels stay above the water.
+     */
+    function placeOverlaysOnTerrain() {
+        if (!overlayGroup) return;
+        const waterLevel = waterPlane.visible ? getWaterLevel() : -Infinity;
 
-        const x = start.x + (end.x - start.x) * progress;
-        const y = start.y + (end.y - start.y) * progress; // <-- THE NEW PART
-        const z = start.z + (end.z - start.z) * progress;
+        for (const item of overlayItems) {
+            const ground = getHeightAt(item.x, item.z);
+            item.object.position.set(item.x, (item.aboveWater ? Math.max(ground, waterLevel) : ground) + item.lift, item.z);
+        }
 
-        return { x, y, z }
+        // Drape start box edges over the terrain, sampling every few heightmap pixels
+        const step = (mapWidthWorld / (heightmapWidth - 1)) * 4;
+        for (const { line, points } of startBoxOutlines) {
+            const draped = [];
+            points.forEach((start, i) => {
+                const end = points[(i + 1) % points.length];
+                const count = Math.max(1, Math.ceil(Math.hypot(end.x - start.x, end.z - start.z) / step));
+                for (let k = 0; k < count; k++) {
+                    const x = start.x + (end.x - start.x) * k / count;
+                    const z = start.z + (end.z - start.z) * k / count;
+                    draped.push(new THREE.Vector3(x, getHeightAt(x, z) + 10, z));
+                }
+            });
+            replaceGeometryPoints(line, draped);
+        }
+    }
+
+    function updateOverlayVisibility() {
+        if (!overlayGroup) return;
+        const { layers } = overlayGroup.userData;
+        const enabled = {
+            start: document.getElementById('overlay-start-toggle').checked,
+            box: document.getElementById('overlay-boxes-toggle').checked,
+            metal: document.getElementById('overlay-metal-toggle').checked,
+            geo: document.getElementById('overlay-geo-toggle').checked
+        };
+        for (const name in enabled) layers[name].visible = enabled[name];
+
+        // A label is shown with its layer, and only when labels are enabled
+        layers.label.visible = document.getElementById('overlay-labels-toggle').checked;
+        for (const item of overlayItems) {
+            if (item.layer) item.object.visible = enabled[item.layer];
+        }
     }
 
     // --- ANIMATION LOOP & FRAME UPDATING ---
     function startAnimationLoop() {
         function animate() {
             requestAnimationFrame(animate);
+            const delta = clock.getDelta();
+            if (isPlaying) advancePlayback(delta);
+            if (brushStroke) applyBrushDab(delta);
+            if (cameraFlight) {
+                advanceCameraFlight(delta);
+            } else if (cameraMode !== 'orbit') {
+                panRtsCamera(delta);
+            }
             orbitControls.update();
-            renderer.render(scene, camera);
+            updateCameraClipping();
+            updateChunkLods(terrainChunks);
+            updateChunkLods(originalTerrainChunks);
+            renderScene();
+            updateMinimap();
         }
         animate();
     }
 
+    /**
+     * Renders the scene, split into the original and the mutated terrain while the split view is on.
+     * Both halves share the camera, so they stay in sync.
+     */
+    function renderScene() {
+        if (!splitViewActive || !terrainMesh) {
+            renderer.render(scene, camera);
+            return;
+        }
+        if (!originalTerrainMesh) createOriginalTerrain();
+
+        const { x: width, y: height } = renderer.getSize(rendererSize);
+        const splitX = Math.round(width * splitPosition);
+        renderer.setScissorTest(true);
+
+        // Overlays, contours, the ruler and the brush ring follow the mutated heights, so they
+        // would float above or sink into the original terrain
+        terrainMesh.visible = false;
+        originalTerrainMesh.visible = true;
+        const showDraped = hideObjects([overlayGroup, contourGroup, rulerLine, rulerMarkers, brushRing]);
+        renderer.setScissor(0, 0, splitX, height);
+        renderer.render(scene, camera);
+
+        showDraped();
+        terrainMesh.visible = true;
+        originalTerrainMesh.visible = false;
+        renderer.setScissor(splitX, 0, width - splitX, height);
+        renderer.render(scene, camera);
+
+        renderer.setScissorTest(false);
+    }
+
     function addTestBoxes() {
         // Round map center to nearest integer x,z
         const centerX = Math.round(mapWidthWorld / 2);
@@ -731,11 +4514,90 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     // --- UI CONTROLS ---
-    function initializeUI() {
-        currentFrame = minFrame;
+    function formatFrameTime(frame) {
+        const totalSeconds = Math.max(0, Math.floor(frame / FPS));
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+        return `${minutes}:${String(seconds).padStart(2, '0')}`;
+    }
+
+    /**
+     * Syncs the timeline widgets and unit markers with currentFrame.
+     */
+    function refreshReplayFrame() {
+        const timeSlider = document.getElementById('time-slider');
+        const timeDisplay = document.getElementById('time-display');
+        const countDisplay = document.getElementById('sprite-count-display');
+
+        timeSlider.value = Math.floor(currentFrame);
+        timeDisplay.textContent = `${formatFrameTime(currentFrame)} / ${formatFrameTime(maxFrame)}`;
+        countDisplay.textContent = updateUnitPositions();
+    }
+
+    function setPlaying(playing) {
+        isPlaying = playing;
+        document.getElementById('play-pause-btn').textContent = playing ? 'Pause' : 'Play';
+    }
+
+    function advancePlayback(delta) {
+        currentFrame += delta * FPS * playbackSpeed;
+        if (currentFrame >= maxFrame) {
+            currentFrame = maxFrame;
+            setPlaying(false);
+        }
+        refreshReplayFrame();
+    }
+
+    /**
+     * Sets up the replay file input, timeline and playback buttons.
+     */
+    function initializeReplayControls() {
+        const fileInput = document.getElementById('replay-file-input');
+        const playPauseBtn = document.getElementById('play-pause-btn');
+        const timeSlider = document.getElementById('time-slider');
+        const speedSelector = document.getElementById('playback-speed');
+
+        async function openReplayFile(file) {
+            try {
+                const replay = parseReplayCsv(await file.text());
+                if (!Object.keys(replay.timelines).length) throw new Error('CSV file contains no unit positions.');
+                loadReplay(replay);
+            } catch (error) {
+                console.error("Could not load replay:", error);
+                alert(`Could not load replay: ${error.message}`);
+                return;
+            }
+
+            timeSlider.min = minFrame;
+            timeSlider.max = maxFrame;
+            timeSlider.disabled = false;
+            playPauseBtn.disabled = false;
+            setPlaying(false);
+            refreshReplayFrame();
+        }
+
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files.length) openReplayFile(fileInput.files[0]);
+        });
+
+        playPauseBtn.addEventListener('click', () => {
+            // Restart from the beginning if playback already reached the end
+            if (!isPlaying && currentFrame >= maxFrame) currentFrame = minFrame;
+            setPlaying(!isPlaying);
+        });
+
+        timeSlider.addEventListener('input', () => {
+            currentFrame = parseInt(timeSlider.value, 10);
+            refreshReplayFrame();
+        });
+
+        speedSelector.addEventListener('change', () => {
+            playbackSpeed = parseFloat(speedSelector.value);
+        });
+        playbackSpeed = parseFloat(speedSelector.value);
     }
 
     // --- START ---
-    loadAndPopulateMaps();
+    const mapListLoad = loadAndPopulateMaps();
     initialize();
 });
\ No newline at end of file
@@ -0,0 +1,148 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAssetCache, createMemoryStorage } from '../assetCache.js';
+
+// A stub network serving `files` ({ url: body }), recording each request
+function createNetwork(files) {
+    const network = {
+        online: true,
+        requests: [],
+        async fetch(url, options) {
+            network.requests.push({ url, options });
+            if (!network.online) throw new TypeError('Failed to fetch');
+            if (typeof files[url] === 'number') return new Response(null, { status: files[url] });
+            if (!(url in files)) return new Response(null, { status: 404, statusText: 'Not Found' });
+            return new Response(files[url]);
+        }
+    };
+    return network;
+}
+
+function createClock() {
+    const clock = { time: 1000, now: () => clock.time };
+    return clock;
+}
+
+const text = result => result.blob.text();
+
+test('assets are downloaded once and then served from the cache', async () => {
+    const network = createNetwork({ '/a': 'first' });
+    const cache = createAssetCache({ fetch: network.fetch, storage: createMemoryStorage() });
+
+    const first = await cache.fetch('/a');
+    assert.equal(first.source, 'network');
+    assert.equal(await text(first), 'first');
+
+    const second = await cache.fetch('/a');
+    assert.equal(second.source, 'cache');
+    assert.equal(await text(second), 'first');
+    assert.equal(network.requests.length, 1);
+});
+
+test('entries older than their max age are revalidated with the server', async () => {
+    const files = { '/a': 'old' };
+    const network = createNetwork(files);
+    const clock = createClock();
+    const cache = createAssetCache({ fetch: network.fetch, storage: createMemoryStorage(), maxAge: 100, now: clock.now });
+
+    await cache.fetch('/a');
+    files['/a'] = 'new';
+    clock.time += 50;
+    assert.equal(await text(await cache.fetch('/a')), 'old');
+
+    clock.time += 100;
+    const refreshed = await cache.fetch('/a');
+    assert.equal(refreshed.source, 'network');
+    assert.equal(await text(refreshed), 'new');
+    assert.equal(network.requests.at(-1).options.cache, 'no-cache');
+
+    // A per-request max age overrides the cache's own
+    clock.time += 10;
+    assert.equal((await cache.fetch('/a', { maxAge: 5 })).source, 'network');
+});
+
+test('stale entries are served as offline copies when the server cannot be reached', async () => {
+    const files = { '/a': 'saved' };
+    const network = createNetwork(files);
+    const clock = createClock();
+    const cache = createAssetCache({ fetch: network.fetch, storage: createMemoryStorage(), maxAge: 100, now: clock.now });
+    await cache.fetch('/a');
+    clock.time += 1000;
+
+    network.online = false;
+    const offline = await cache.fetch('/a');
+    assert.equal(offline.source, 'offline');
+    assert.equal(await text(offline), 'saved');
+    await assert.rejects(cache.fetch('/b'), TypeError);
+
+    network.online = true;
+    files['/a'] = 503;
+    assert.equal((await cache.fetch('/a')).source, 'offline');
+    files['/a'] = 404;
+    await assert.rejects(cache.fetch('/a'), /404/);
+});
+
+test('aborted requests are not answered from the cache', async () => {
+    const clock = createClock();
+    const storage = createMemoryStorage();
+    const network = createNetwork({ '/a': 'saved' });
+    const cache = createAssetCache({ fetch: network.fetch, storage, maxAge: 100, now: clock.now });
+    await cache.fetch('/a');
+    clock.time += 1000;
+
+    const controller = new AbortController();
+    controller.abort();
+    const abortingCache = createAssetCache({
+        fetch: () => Promise.reject(new DOMException('Aborted', 'AbortError')),
+        storage,
+        maxAge: 100,
+        now: clock.now
+    });
+    await assert.rejects(abortingCache.fetch('/a', { signal: controller.signal }), { name: 'AbortError' });
+});
+
+test('the least recently used entries are evicted past the size limit', async () => {
+    const network = createNetwork({ '/a': 'aaaa', '/b': 'bbbb', '/c': 'cccc', '/huge': 'x'.repeat(20) });
+    const clock = createClock();
+    const cache = createAssetCache({ fetch: network.fetch, storage: createMemoryStorage(), maxBytes: 10, now: clock.now });
+
+    await cache.fetch('/a');
+    clock.time++;
+    await cache.fetch('/b');
+    clock.time++;
+    await cache.fetch('/a'); // Now more recently used than /b
+    clock.time++;
+    await cache.fetch('/c');
+    assert.deepEqual(await cache.usage(), { count: 2, bytes: 8 });
+
+    network.requests.length = 0;
+    await cache.fetch('/a');
+    await cache.fetch('/c');
+    assert.equal(network.requests.length, 0);
+    assert.equal((await cache.fetch('/b')).source, 'network');
+
+    // Anything larger than the whole cache is passed through without being stored
+    assert.equal(await text(await cache.fetch('/huge')), 'x'.repeat(20));
+    assert.ok((await cache.usage()).bytes <= 10);
+});
+
+test('clearing empties the cache', async () => {
+    const network = createNetwork({ '/a': 'aaaa' });
+    const cache = createAssetCache({ fetch: network.fetch, storage: createMemoryStorage() });
+    await cache.fetch('/a');
+    await cache.clear();
+    assert.deepEqual(await cache.usage(), { count: 0, bytes: 0 });
+    assert.equal((await cache.fetch('/a')).source, 'network');
+});
+
+test('storage failures fall back to the network', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const failing = () => Promise.reject(new Error('QuotaExceededError'));
+    const storage = { get: failing, put: failing, putMeta: failing, delete: failing, list: failing, clear: failing };
+    const network = createNetwork({ '/a': 'aaaa' });
+    const cache = createAssetCache({ fetch: network.fetch, storage });
+
+    assert.equal(await text(await cache.fetch('/a')), 'aaaa');
+    assert.equal((await cache.fetch('/a')).source, 'network');
+    assert.deepEqual(await cache.usage(), { count: 0, bytes: 0 });
+});
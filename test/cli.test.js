@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { promisify } from 'node:util';
+import { decodeHeightmapFile, mutateHeightmap, parseRecipe } from '../cli.js';
+import { decodePngHeightmap } from '../heightmap.js';
+
+const CLI = fileURLToPath(new URL('../cli.js', import.meta.url));
+const FIXTURES = fileURLToPath(new URL('../fixtures/heightmaps/', import.meta.url));
+const HEIGHT_RANGE = { minHeight: 0, maxHeight: 1000 };
+
+const fixture = name => readFile(join(FIXTURES, name));
+const loadRecipe = async () => parseRecipe(JSON.parse(await fixture('recipe.json')));
+
+test('recipes give their mutators and water level settings', async () => {
+    const recipe = await loadRecipe();
+    assert.deepEqual(recipe.mutators.map(m => m.type), ['above', 'terrace', 'smooth', 'noise']);
+    assert.equal(recipe.waterLevel, 150);
+    assert.equal(recipe.thresholdsLocked, false);
+    assert.equal(recipe.sculpted, false);
+
+    const locked = parseRecipe({ mutators: [], waterLevel: { height: 150, thresholdsLocked: true } });
+    assert.equal(locked.waterLevel, 150);
+    assert.equal(locked.thresholdsLocked, true);
+    assert.deepEqual(parseRecipe([{ type: 'invert' }]),
+        { mutators: [{ type: 'invert' }], waterLevel: 0, thresholdsLocked: false, sculpted: false });
+    assert.throws(() => parseRecipe([{ type: 'melt' }]), /Unknown mutator type melt/);
+    assert.throws(() => parseRecipe({}), /no list of mutators/);
+});
+
+test('the tool reproduces the heightmap the viewer exported with its recipe', async () => {
+    // hill17_locked.raw and its recipe are a viewer export with thresholds locked to absolute heights
+    const exported = JSON.parse(await fixture('hill17_locked.recipe.json'));
+    const { mutators, waterLevel, thresholdsLocked } = parseRecipe(exported);
+    const heightmap = await decodeHeightmapFile('hill17.png', await fixture('hill17.png'));
+    const { bytes, output } = await mutateHeightmap(heightmap, mutators, { ...HEIGHT_RANGE, waterLevel, thresholdsLocked, format: 'raw16' });
+
+    assert.deepEqual(Buffer.from(bytes), await fixture('hill17_locked.raw'));
+    assert.deepEqual({ ...output, fileName: exported.output.fileName }, exported.output);
+});
+
+test('locked thresholds are measured from 0 rather than the water level', async () => {
+    const heightmap = await decodeHeightmapFile('hill17.raw', await fixture('hill17.raw'));
+    const mutators = [{ type: 'clamp', params: { max: 500 } }];
+    const locked = await mutateHeightmap(heightmap, mutators, { ...HEIGHT_RANGE, waterLevel: 200, thresholdsLocked: true });
+    const unlocked = await mutateHeightmap(heightmap, mutators, { ...HEIGHT_RANGE, waterLevel: 200 });
+    assert.equal(locked.output.maxHeight, 500);
+    assert.equal(unlocked.output.maxHeight, 700);
+});
+
+test('mutating the fixture reproduces the recorded output exactly', async () => {
+    const { mutators, waterLevel } = await loadRecipe();
+    const heightmap = await decodeHeightmapFile('hill17.png', await fixture('hill17.png'));
+    const { bytes, output } = await mutateHeightmap(heightmap, mutators, { ...HEIGHT_RANGE, waterLevel, format: 'raw16' });
+
+    const expected = JSON.parse(await fixture('hill17_mutated.recipe.json')).output;
+    assert.deepEqual(Buffer.from(bytes), await fixture('hill17_mutated.raw'));
+    assert.equal(output.minHeight, expected.minHeight);
+    assert.equal(output.maxHeight, expected.maxHeight);
+});
+
+test('PNG and raw inputs and outputs agree', async () => {
+    const { mutators, waterLevel } = await loadRecipe();
+    const options = { ...HEIGHT_RANGE, waterLevel };
+    const fromPng = await decodeHeightmapFile('hill17.png', await fixture('hill17.png'));
+    const fromRaw = await decodeHeightmapFile('hill17.raw', await fixture('hill17.raw'));
+
+    const raw = await mutateHeightmap(fromRaw, mutators, { ...options, format: 'raw16' });
+    const png = await mutateHeightmap(fromPng, mutators, { ...options, format: 'png16' });
+    const decoded = await decodePngHeightmap(png.bytes);
+    assert.deepEqual(Buffer.from(new Uint16Array(decoded.data).buffer), Buffer.from(raw.bytes));
+    assert.deepEqual(png.output, { ...raw.output, format: 'png16' });
+});
+
+test('missing params take the defaults for the heightmap', async () => {
+    const heightmap = await decodeHeightmapFile('hill17.raw', await fixture('hill17.raw'));
+    const { chain } = await mutateHeightmap(heightmap, [{ type: 'clamp' }], { ...HEIGHT_RANGE, waterLevel: 200 });
+    assert.deepEqual(chain, [{ type: 'clamp', params: { min: -200, max: 800 } }]);
+});
+
+test('the command writes the heightmap and a recipe with the new range', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'bar-mutate-'));
+    try {
+        const output = join(dir, 'hill17_mutated.raw');
+        const { stdout } = await promisify(execFile)(process.execPath, [
+            CLI, join(FIXTURES, 'hill17.png'), '--recipe', join(FIXTURES, 'recipe.json'),
+            '--min-height', '0', '--max-height', '1000', '-o', output
+        ]);
+
+        const expected = JSON.parse(await fixture('hill17_mutated.recipe.json'));
+        assert.deepEqual(JSON.parse(stdout), expected.output);
+        assert.deepEqual(await readFile(output), await fixture('hill17_mutated.raw'));
+        assert.deepEqual(JSON.parse(await readFile(join(dir, 'hill17_mutated.recipe.json'), 'utf8')), expected);
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+});
+
+test('the command fails with a message on bad arguments', async () => {
+    await assert.rejects(
+        promisify(execFile)(process.execPath, [CLI, join(FIXTURES, 'hill17.png'), '--recipe', join(FIXTURES, 'recipe.json')]),
+        error => error.code === 1 && /--min-height is required/.test(error.stderr)
+    );
+});
@@ -0,0 +1,127 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    computeContours, contourLabelPositions, contourLevels, contourSegments, contoursToSvg, splitMajorContours, traceContourOverlay
+} from '../contours.js';
+
+// A round hill peaking at 100 in the middle of a size x size heightmap
+function createHill(size) {
+    const heights = new Float32Array(size * size);
+    const center = (size - 1) / 2;
+    for (let z = 0; z < size; z++) {
+        for (let x = 0; x < size; x++) heights[z * size + x] = Math.max(0, 100 - Math.hypot(x - center, z - center) * 10);
+    }
+    return heights;
+}
+
+test('levels are the multiples of the interval within the range', () => {
+    assert.deepEqual(contourLevels(-25, 110, 50), [0, 50, 100]);
+    assert.deepEqual(contourLevels(10, 20, 50), []);
+    assert.deepEqual(contourLevels(0, 100, 0), []);
+});
+
+test('a hill has one closed contour per level, at the right height', () => {
+    const size = 21;
+    const heights = createHill(size);
+    const contours = computeContours(heights, size, size, [25, 50, 75, 150]);
+    assert.deepEqual(contours.map(c => c.level), [25, 50, 75]);
+
+    for (const { level, lines } of contours) {
+        assert.equal(lines.length, 1);
+        const line = lines[0];
+        assert.deepEqual(line.slice(-2), line.slice(0, 2), 'closed lines end on their first point');
+        // Each point lies on the circle where the cone reaches the level
+        const radius = (100 - level) / 10;
+        for (let i = 0; i < line.length; i += 2) {
+            assert.ok(Math.abs(Math.hypot(line[i] - 10, line[i + 1] - 10) - radius) < 0.5, `point ${i / 2} of level ${level}`);
+        }
+    }
+});
+
+test('a ramp has open contours running edge to edge', () => {
+    const width = 6, height = 4;
+    const heights = new Float32Array(width * height).map((_, i) => (i % width) * 10);
+    const [contour] = computeContours(heights, width, height, [25]);
+    assert.equal(contour.lines.length, 1);
+    const line = contour.lines[0];
+    assert.equal(line.length / 2, height);
+    for (let i = 0; i < line.length; i += 2) assert.equal(line[i], 2.5);
+    assert.deepEqual([line[1], line.at(-1)].sort(), [0, height - 1]);
+});
+
+test('saddles follow the mean of the cell', () => {
+    // Two high corners diagonal to each other
+    const low = computeContours(new Float32Array([10, 0, 0, 10]), 2, 2, [6]);
+    const high = computeContours(new Float32Array([10, 0, 0, 10]), 2, 2, [4]);
+    // Mean 5: at 6 the high corners are separate peaks, at 4 the low corners are separate pits.
+    // Either way there are two short lines, cutting off opposite pairs of corners
+    assert.equal(low[0].lines.length, 2);
+    assert.equal(high[0].lines.length, 2);
+    const cornersCutOff = contour => contour.lines.map(line => [Math.round((line[0] + line[2]) / 2), Math.round((line[1] + line[3]) / 2)].join());
+    assert.deepEqual(cornersCutOff(low[0]).sort(), ['0,0', '1,1']);
+    assert.deepEqual(cornersCutOff(high[0]).sort(), ['0,1', '1,0']);
+});
+
+test('flat terrain has no contours', () => {
+    assert.deepEqual(computeContours(new Float32Array(16).fill(50), 4, 4, [50]), []);
+});
+
+test('labels sit on long enough lines', () => {
+    const size = 21;
+    const contours = computeContours(createHill(size), size, size, [25, 90]);
+    const labels = contourLabelPositions(contours, 20);
+    assert.deepEqual(labels.map(label => label.level), [25]);
+    assert.ok(Math.abs(Math.hypot(labels[0].x - 10, labels[0].z - 10) - 7.5) < 0.5);
+});
+
+test('every Nth multiple of the interval is a major contour', () => {
+    const contours = [-100, -50, 0, 50, 100, 150].map(level => ({ level, lines: [] }));
+    const { minor, major } = splitMajorContours(contours, 50, 2);
+    assert.deepEqual(major.map(c => c.level), [-100, 0, 100]);
+    assert.deepEqual(minor.map(c => c.level), [-50, 50, 150]);
+});
+
+test('segments are scaled and lifted into world coordinates', () => {
+    const contours = [{ level: 50, lines: [[0, 0, 1, 0.5, 2, 0.5]] }, { level: 60, lines: [[3, 3, 4, 4]] }];
+    assert.deepEqual(Array.from(contourSegments(contours, 8, 4, 2)), [
+        0, 52, 0, 8, 52, 2,
+        8, 52, 2, 16, 52, 2,
+        24, 62, 12, 32, 62, 16
+    ]);
+});
+
+test('the overlay traces the levels, the water line and labels on the major lines', () => {
+    const size = 21;
+    const heights = createHill(size);
+    const request = {
+        heights, width: size, height: size, levels: [25, 50, 75], interval: 25, majorEvery: 2,
+        waterLevel: 10, scaleX: 1, scaleZ: 1, lift: 0, labels: true
+    };
+    const overlay = traceContourOverlay(request);
+    assert.equal(overlay.levelCount, 3);
+    const levelsOf = segments => new Set(Array.from(segments).filter((_, i) => i % 3 === 1));
+    assert.deepEqual(levelsOf(overlay.major), new Set([50]));
+    assert.deepEqual(levelsOf(overlay.minor), new Set([25, 75]));
+    assert.deepEqual(levelsOf(overlay.water), new Set([10]));
+    assert.deepEqual(overlay.labels.map(label => label.level), [50]);
+
+    const dry = traceContourOverlay({ ...request, waterLevel: null, labels: false });
+    assert.equal(dry.water.length, 0);
+    assert.deepEqual(dry.labels, []);
+});
+
+test('SVG export draws each layer and label in world units', () => {
+    const contours = [{ level: 50, lines: [[0, 0, 1, 0.5]] }];
+    const svg = contoursToSvg({
+        width: 1024,
+        height: 512,
+        scaleX: 8,
+        scaleZ: 8,
+        layers: [{ name: 'minor', contours, stroke: '#000000', strokeWidth: 2 }],
+        labels: [{ x: 1, z: 0.5, text: '50 & up' }]
+    });
+    assert.match(svg, /^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" viewBox="0 0 1024 512"/);
+    assert.match(svg, /<g id="minor" fill="none" stroke="#000000" stroke-width="2"/);
+    assert.match(svg, /<path data-level="50" d="M0 0L8 4"\/>/);
+    assert.match(svg, /<text x="8" y="4">50 &amp; up<\/text>/);
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import {
+    decodePngHeightmap, decodeRawHeightmap, encodeHeightmap, encodePng16, heightmapToHeights, heightsToUint16
+} from '../heightmap.js';
+
+const fixture = name => readFile(new URL(`../fixtures/heightmaps/${name}`, import.meta.url));
+
+test('16-bit PNG and raw fixtures decode to the same samples', async () => {
+    const png = await decodePngHeightmap(await fixture('hill17.png'));
+    const raw = decodeRawHeightmap(await fixture('hill17.raw'));
+    assert.equal(png.width, 17);
+    assert.equal(png.height, 17);
+    assert.equal(png.maxValue, 65535);
+    assert.deepEqual(raw, png);
+});
+
+test('8-bit PNGs keep their 8-bit samples', async () => {
+    const png16 = await decodePngHeightmap(await fixture('hill17.png'));
+    const png8 = await decodePngHeightmap(await fixture('hill17_8bit.png'));
+    assert.equal(png8.maxValue, 255);
+    assert.deepEqual(Array.from(png8.data), Array.from(png16.data, value => value >> 8));
+});
+
+test('raw heightmaps need a size unless they are square', () => {
+    assert.throws(() => decodeRawHeightmap(new Uint8Array(6 * 2)), /not square/);
+    const heightmap = decodeRawHeightmap(new Uint8Array([1, 0, 2, 0, 3, 0, 0, 1, 255, 255, 0, 0]), 3, 2);
+    assert.deepEqual(Array.from(heightmap.data), [1, 2, 3, 256, 65535, 0]);
+    assert.throws(() => decodeRawHeightmap(new Uint8Array(10), 3, 2), /expected 12/);
+});
+
+test('pixel values map linearly onto the height range', () => {
+    const heights = heightmapToHeights({ width: 3, height: 1, data: [0, 32768, 65535], maxValue: 65535 }, -100, 900);
+    assert.equal(heights[0], -100);
+    assert.ok(Math.abs(heights[1] - 400.0076) < 1e-3);
+    assert.equal(heights[2], 900);
+});
+
+test('heights are normalized into the full uint16 range', () => {
+    assert.deepEqual(Array.from(heightsToUint16(new Float32Array([10, 15, 20, 30]), 10, 20)), [0, 32768, 65535, 65535]);
+    assert.deepEqual(Array.from(heightsToUint16(new Float32Array([5, 5]), 5, 5)), [0, 0]);
+});
+
+test('16-bit PNGs round-trip through the encoder', async () => {
+    const { width, height, data } = await decodePngHeightmap(await fixture('hill17.png'));
+    const blob = await encodePng16(data, width, height);
+    const decoded = await decodePngHeightmap(new Uint8Array(await blob.arrayBuffer()));
+    assert.deepEqual(decoded, { width, height, data, maxValue: 65535 });
+});
+
+test('float32 export stores the heights as little-endian floats', async () => {
+    const heights = new Float32Array([1.5, -2.25, 1000]);
+    const blob = await encodeHeightmap(heights, 3, 1, 'float32', -2.25, 1000);
+    assert.deepEqual(new Float32Array(await blob.arrayBuffer()), heights);
+    await assert.rejects(encodeHeightmap(heights, 3, 1, 'tiff', 0, 1), /Unknown heightmap format/);
+});
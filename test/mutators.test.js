@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildMutatorChain, createChainCache, createMutatorContext, evaluateMutatorChain } from '../mutators.js';
+
+const MAP = { width: 3, height: 1, minHeight: -100, maxHeight: 900 };
+
+test('height params are measured from the water level unless the thresholds are locked', () => {
+    assert.deepEqual(createMutatorContext({ ...MAP, waterLevel: 50 }), { ...MAP, waterLevel: 50 });
+    assert.deepEqual(createMutatorContext({ ...MAP, waterLevel: 50, thresholdsLocked: true }), { ...MAP, waterLevel: 0 });
+    assert.equal(createMutatorContext(MAP).waterLevel, 0);
+});
+
+test('chains keep the enabled mutators and complete their params for the context', () => {
+    const context = createMutatorContext({ ...MAP, waterLevel: 50 });
+    const chain = buildMutatorChain([
+        { type: 'above', params: { threshold: '100', factor: 2 }, enabled: true },
+        { type: 'invert', params: {}, enabled: false },
+        { type: 'clamp', params: { max: 'oops' } },
+        { type: 'below', threshold: 20, factor: 0.5 }
+    ], context);
+    assert.deepEqual(chain, [
+        { type: 'above', params: { threshold: 100, factor: 2 } },
+        // The defaults span the map's heights, measured from the water level
+        { type: 'clamp', params: { min: -150, max: 850 } },
+        { type: 'below', params: { threshold: 20, factor: 0.5 } }
+    ]);
+});
+
+test('a chain applies its thresholds at the context water level', () => {
+    const base = new Float32Array([100, 150, 200]);
+    const mutators = [{ type: 'above', params: { threshold: 100, factor: 2 } }];
+    const run = options => {
+        const context = createMutatorContext({ ...MAP, ...options });
+        return Array.from(evaluateMutatorChain(base, buildMutatorChain(mutators, context), context, createChainCache()));
+    };
+    // Stretched away from 50 + 100 above the water, or from 100 when locked
+    assert.deepEqual(run({ waterLevel: 50 }), [100, 150, 250]);
+    assert.deepEqual(run({ waterLevel: 50, thresholdsLocked: true }), [100, 200, 300]);
+});
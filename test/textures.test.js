@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { TEXTURE_OPTIONS, getTextureOptions } from '../textures.js';
+
+const record = JSON.parse(await readFile(new URL('../fixtures/map-record.json', import.meta.url), 'utf8'));
+
+test('layers named in mapInfo.resources are offered, falling back to the texture', () => {
+    const options = getTextureOptions(record);
+    assert.deepEqual(Object.keys(options), ['hq', 'mq', 'lq', 'specular']);
+    assert.deepEqual(options.specular.files, ['glitters_spec.png', 'texture-mq.jpg', 'texture-lq.jpg']);
+    assert.equal(options.specular.name, 'specular map');
+    assert.equal(options.specular.resource, undefined);
+});
+
+test('resources the browser cannot load are left out', () => {
+    const resources = { detailNormalTex: 'maps/glitters_normal.dds', specularTex: 'maps/glitters_spec.tga' };
+    assert.deepEqual(getTextureOptions({ ...record, mapInfo: { resources } }), TEXTURE_OPTIONS);
+});
+
+test('maps without resources get the quality levels only', () => {
+    assert.deepEqual(getTextureOptions({ fileName: record.fileName }), TEXTURE_OPTIONS);
+    assert.deepEqual(getTextureOptions(undefined), TEXTURE_OPTIONS);
+});
@@ -0,0 +1,34 @@
+// Texture choices for maps from the API.
+// Shared by the viewer (script3d.js) and the tests, so it must not depend on the DOM or Three.js.
+
+// The quality levels, offered for every map. Each lists the files to try in turn, so a map without
+// the chosen texture falls back to the next one.
+export const TEXTURE_OPTIONS = {
+    hq: { label: 'High', name: 'high quality texture', files: ['texture-hq.jpg', 'texture-mq.jpg', 'texture-lq.jpg'] },
+    mq: { label: 'Medium', name: 'medium quality texture', files: ['texture-mq.jpg', 'texture-lq.jpg'] },
+    lq: { label: 'Low', name: 'low quality texture', files: ['texture-lq.jpg'] }
+};
+
+// Extra layers, offered only for maps whose mapinfo.lua names an image for them in its resources
+// table, which the API record carries as mapInfo.resources. The metal map is not among them: it is
+// stored inside the .smf, so mapinfo.lua has no file for it.
+export const TEXTURE_LAYERS = {
+    normal: { label: 'Normal map', name: 'normal map', resource: 'detailNormalTex' },
+    specular: { label: 'Specular map', name: 'specular map', resource: 'specularTex' }
+};
+
+/**
+ * The texture options for a map: the quality levels, plus the TEXTURE_LAYERS its API record names.
+ */
+export function getTextureOptions(record) {
+    const resources = record?.mapInfo?.resources ?? {};
+    const options = { ...TEXTURE_OPTIONS };
+    for (const [key, { resource, ...layer }] of Object.entries(TEXTURE_LAYERS)) {
+        const file = resources[resource];
+        // Only images the browser can load; .dds and .tga resources are left out
+        if (typeof file !== 'string' || !/\.(png|jpe?g|webp)$/i.test(file)) continue;
+        // Resources are paths inside the archive (maps/...), the API serves them next to the textures
+        options[key] = { ...layer, files: [file.split('/').pop(), 'texture-mq.jpg', 'texture-lq.jpg'] };
+    }
+    return options;
+}